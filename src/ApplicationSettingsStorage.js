@@ -0,0 +1,37 @@
+import * as applicationSettings from 'application-settings';
+
+/**
+* The storage adapter that persists component state (see `Component.persist`) via NativeScript's
+* `application-settings` module, so that it survives the app being killed. It's used unless another
+* adapter is configured via `Component.configure({ storage })`.
+*
+* A storage adapter is any object with `getItem(key)`, `setItem(key, value)` and `removeItem(key)` methods,
+* where the values are strings. `getItem` returns `undefined` when there's no value for the key.
+*/
+class ApplicationSettingsStorage {
+
+    /**
+    * @param   {string} key
+    * @returns {string|undefined}
+    */
+    getItem(key) {
+        return applicationSettings.hasKey(key) ? applicationSettings.getString(key) : undefined;
+    }
+
+    /**
+    * @param {string} key
+    * @param {string} value
+    */
+    setItem(key, value) {
+        applicationSettings.setString(key, value);
+    }
+
+    /**
+    * @param {string} key
+    */
+    removeItem(key) {
+        applicationSettings.remove(key);
+    }
+}
+
+export default ApplicationSettingsStorage;
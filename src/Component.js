@@ -1,8 +1,37 @@
+import * as application from 'application';
 import { Observable } from 'data/observable';
 import { validateAsync } from 'parameter-validator';
 import frame from 'ui/frame';
+import { View } from 'ui/core/view';
+import ComponentLifecycleError from './ComponentLifecycleError';
+import ComponentMisuseError from './ComponentMisuseError';
 import ComponentManager from './ComponentManager';
-import { getBindingContextProperty, getComponentForView } from './component-utils';
+import Router from './Router';
+import { configure, error as logError, reportMisuse, warn } from './diagnostics';
+import { scheduleInit } from './init-scheduler';
+import { clearRegistry, disableLifecycleLog, enableLifecycleLog, getInstances, getLifecycleEvents, getViewCount, recordLifecycleEvent } from './component-registry';
+import { attachModalComponent, getModals, getTopModal, pushModal, removeModal } from './modal-stack';
+import { cancelResultRequest, clearResult, createResultRequest, setResult, trackResultRequest } from './page-results';
+import { getAllPropertyNames, getBindingContextProperty, getComponentForView, getDataKeys, getKeyPathValue, isDevelopment, setChildValue, setKeyPathValue } from './component-utils';
+import { normalizePropDefinitions, resolvePropValue } from './component-props';
+import { observeKeyPath } from './key-path-observer';
+import { clearPersistedState as removePersistedState, setStorage, setUpPersistence } from './persistence';
+import { redo, setUpHistory, startRecording, transaction, undo } from './change-history';
+import { setUpValidation, validate as validateFields } from './form-validation';
+import { loadResources, reload } from './resource-loader';
+
+// The values provided for the whole app via `Component.provide()`.
+const rootProviders = new Map();
+
+// The names of the properties that each view class defines by default (see `getDefaultPropertyNames()`).
+const defaultPropertyNamesByViewClass = new WeakMap();
+
+// The router used by `navigate()`. See `Component.router`.
+let router = new Router();
+
+if (application.android) {
+    application.android.on(application.AndroidApplication.activityBackPressedEvent, onAndroidBackPressed);
+}
 
 /**
 * Base class for authoring a vanilla NativeScript component using a friendly syntax.
@@ -12,34 +41,367 @@ import { getBindingContextProperty, getComponentForView } from './component-util
 */
 class Component {
 
+    constructor() {
+        this._disposers = [];
+        this._timerDisposers = new Map();
+        this._isDisposed = false;
+        // One of 'pending', 'initializing', 'initialized', 'failed' or 'skipped' (see init-scheduler).
+        this._initState = 'pending';
+        this._parent = null;
+        this._children = [];
+        this._providedValues = new Map();
+        this._isAssigningBindingContext = false;
+    }
+
     /**
     * Sets a property on the component's binding context.
     *
-    * @param {string} name  - property name
+    * The name can be a key path to a nested property (e.g. `controls.edit` or `items[2].name`), in which case
+    * the value is set on the object that directly contains it, so that bindings to the nested property
+    * (e.g. `{{ controls.edit, ... }}`) are updated. Missing objects along the path are created as Observables.
+    *
+    * @example
+    * this.set('controls.edit', true);
+    *
+    * @param {string} name  - property name or key path
     * @param {}       value - property value
     */
     set(name, value) {
 
         this._validateBindingContext();
-
-        if (typeof this.bindingContext.set === 'function') {
-            // bindingContext is observable, so use its `set` function.
-            this.bindingContext.set(name, value);
-            return;
-        }
-        // bindingContext is not observable, so treat it like a plain object.
-        this.bindingContext[name] = value;
+        setKeyPathValue(this.bindingContext, name, value);
     }
 
     /**
     * Gets a property from the component's binding context.
     *
-    * @param   {string} name  - property name
+    * The name can be a key path to a nested property (e.g. `user.address.city` or `items[2].name`).
+    * `undefined` is returned if an object along the path is missing.
+    *
+    * @param   {string} name  - property name or key path
     * @returns {}
     */
     get(name) {
         this._validateBindingContext();
-        return getBindingContextProperty(this.bindingContext, name);
+        return getKeyPathValue(this.bindingContext, name);
+    }
+
+    /**
+    * Watches a property of the component's binding context, invoking the handler with the new value and the old
+    * value whenever it changes. The key path can point to a property nested within Observables (e.g. `record.firstName`
+    * for a `record` Observable passed as an XML attribute), and replacing an object along the path also counts as a change.
+    *
+    * Watchers are removed automatically when the component's view is unloaded, so they're typically added in `init()`.
+    *
+    * @example
+    * this.watch('record.firstName', (newName, oldName) => console.log(`Renamed from ${oldName} to ${newName}`));
+    *
+    * @param   {string}   keyPath
+    * @param   {Function} handler           - Invoked with the component as `this` and the new and old values.
+    * @param   {Object}   [options]
+    * @param   {boolean}  [options.immediate] - Invoke the handler right away with the current value (and an undefined old value).
+    * @param   {boolean}  [options.deep]      - Also invoke the handler when a property nested within the value changes, in which
+    *                                           case the new and old values are the same object.
+    * @returns {Function} A function which removes the watcher.
+    */
+    watch(keyPath, handler, options = {}) {
+
+        this._validateBindingContext();
+
+        let { immediate = false, deep = false } = options,
+            callback = (newValue, oldValue) => handler.call(this, newValue, oldValue),
+            stopObserving = observeKeyPath(this.bindingContext, keyPath, callback, { deep });
+
+        let removeDisposer = this.addDisposer(stopObserving);
+
+        let unwatch = () => {
+            removeDisposer();
+            stopObserving();
+        };
+
+        if (immediate) {
+            callback(this.get(keyPath), undefined);
+        }
+        return unwatch;
+    }
+
+    /**
+    * Registers a function to be called when the component's view is unloaded (i.e. when the component is disposed,
+    * or when an `'app'` scoped component's page is hidden). Disposers are called in the reverse order in which
+    * they were added.
+    *
+    * @param   {Function} disposer
+    * @returns {Function} A function which unregisters the disposer without calling it.
+    */
+    addDisposer(disposer) {
+
+        this._validateNotDisposed();
+        this._disposers.push(disposer);
+
+        return () => {
+            this._disposers = this._disposers.filter(registeredDisposer => registeredDisposer !== disposer);
+        };
+    }
+
+    /**
+    * Adds an event listener to a view or Observable which is removed automatically when the component's view
+    * is unloaded.
+    *
+    * @example
+    * this.listenTo(this.get('record'), 'propertyChange', this.onRecordChanged);
+    *
+    * @param   {Observable|ui/View} target
+    * @param   {string}             eventName
+    * @param   {Function}           handler   - Invoked with the component as `this`.
+    * @returns {Function}           A function which removes the listener.
+    */
+    listenTo(target, eventName, handler) {
+
+        if (!target || typeof target.on !== 'function' || typeof target.off !== 'function') {
+            throw new Error(`${this.constructor.name}: listenTo() requires a view or Observable to listen to.`);
+        }
+        target.on(eventName, handler, this);
+
+        let removeListener = () => target.off(eventName, handler, this),
+            removeDisposer = this.addDisposer(removeListener);
+
+        return () => {
+            removeDisposer();
+            removeListener();
+        };
+    }
+
+    /**
+    * Like the global `setTimeout`, but the callback is invoked with the component as `this`, and the timeout
+    * is cleared automatically when the component's view is unloaded.
+    *
+    * @param   {Function} callback
+    * @param   {number}   [delay]
+    * @param   {...*}     [args]   - Arguments passed to the callback.
+    * @returns {}         The timer ID, which can be passed to `clearTimeout()`.
+    */
+    setTimeout(callback, delay, ...args) {
+
+        this._validateNotDisposed();
+
+        let id = setTimeout(() => {
+            this._removeTimerDisposer(id);
+            callback.apply(this, args);
+        }, delay);
+
+        this._addTimerDisposer(id, () => clearTimeout(id));
+        return id;
+    }
+
+    /**
+    * Clears a timeout set via `setTimeout()`.
+    *
+    * @param {} id
+    */
+    clearTimeout(id) {
+        clearTimeout(id);
+        this._removeTimerDisposer(id);
+    }
+
+    /**
+    * Like the global `setInterval`, but the callback is invoked with the component as `this`, and the interval
+    * is cleared automatically when the component's view is unloaded.
+    *
+    * @param   {Function} callback
+    * @param   {number}   [delay]
+    * @param   {...*}     [args]   - Arguments passed to the callback.
+    * @returns {}         The timer ID, which can be passed to `clearInterval()`.
+    */
+    setInterval(callback, delay, ...args) {
+
+        this._validateNotDisposed();
+
+        let id = setInterval(() => callback.apply(this, args), delay);
+
+        this._addTimerDisposer(id, () => clearInterval(id));
+        return id;
+    }
+
+    /**
+    * Clears an interval set via `setInterval()`.
+    *
+    * @param {} id
+    */
+    clearInterval(id) {
+        clearInterval(id);
+        this._removeTimerDisposer(id);
+    }
+
+    /**
+    * Provides a value (e.g. a service or shared state) to the components nested within this component, at any depth,
+    * which can get it via `inject()`. Because parents are initialized before their children, values provided in
+    * `init()` are available to the children's `init()`.
+    *
+    * @example
+    * init() {
+    *     this.provide('api', new ApiClient(this.get('baseUrl')));
+    * }
+    *
+    * @param {} key   - Typically a string, but any value can be used as a key.
+    * @param {} value
+    */
+    provide(key, value) {
+        this._providedValues.set(key, value);
+    }
+
+    /**
+    * Gets a value provided via `provide()` by the closest ancestor component that provides the key or, if none do,
+    * by `Component.provide()`.
+    *
+    * @param   {} key
+    * @returns {}
+    * @throws  {Error} If neither an ancestor nor the app provides the key.
+    */
+    inject(key) {
+
+        for (let ancestor = this._parent || this._getParentComponent(); ancestor; ancestor = ancestor.parent || ancestor._getParentComponent()) {
+            if (ancestor._providedValues.has(key)) {
+                return ancestor._providedValues.get(key);
+            }
+        }
+
+        if (rootProviders.has(key)) {
+            return rootProviders.get(key);
+        }
+        throw new Error(`${this.constructor.name} tried to inject '${String(key)}', but no ancestor component provides it, and it hasn't been provided ` +
+                        `for the app via Component.provide().`);
+    }
+
+    /**
+    * Emits one of the events declared in `static events`. The event is routed to the method of the parent component
+    * that's named by the event's XML attribute (e.g. `onChildSave` for `<e:editable-text save="onChildSave"/>`), just
+    * like NativeScript routes a view's events to the functions exported by its page's module. If a function was bound
+    * to the attribute instead (e.g. `save="{{ onSave }}"`), that function is invoked. The event is also emitted by the
+    * component's view, so it can be listened to via `listenTo()`.
+    *
+    * The handler is passed an object with these properties:
+    * `eventName`, `object` (the emitting component's view), `component` (the emitting component) and `payload`.
+    *
+    * @example
+    * // editable-text.js
+    * static get events() {
+    *     return [ 'save' ];
+    * }
+    *
+    * onTextChanged() {
+    *     this.emit('save', { fieldName: this.get('fieldName') });
+    * }
+    *
+    * @param   {string} eventName
+    * @param   {}       [payload]
+    * @returns {}       The value returned by the handler, if one was passed.
+    * @throws  {Error}  If the event isn't declared or the parent has no method with the handler's name.
+    */
+    emit(eventName, payload) {
+
+        this._validateNotDisposed();
+
+        if (!this.constructor.events.includes(eventName)) {
+            throw new Error(`${this.constructor.name} can't emit the '${eventName}' event, because it isn't declared in its static events.`);
+        }
+
+        let eventData = { eventName, object: this.view, component: this, payload },
+            handler = this.view[eventName];
+
+        this.view.notify(eventData);
+
+        if (typeof handler === 'function') {
+            return handler(eventData);
+        }
+
+        if (typeof handler !== 'string' || !handler) {
+            // The parent isn't listening for this event.
+            return undefined;
+        }
+
+        let parentComponent = this.parent || this._getParentComponent();
+
+        if (!parentComponent || typeof parentComponent[handler] !== 'function') {
+            let parentName = parentComponent ? parentComponent.constructor.name : 'its parent';
+            throw new Error(`${this.constructor.name} emitted the '${eventName}' event, but ${parentName} has no '${handler}' method to handle it.`);
+        }
+        return parentComponent[handler](eventData);
+    }
+
+    /**
+    * Removes the component's persisted state (see `persist`) from storage, e.g. once a draft has been submitted. The
+    * binding context isn't changed, so the state is persisted again the next time one of its properties changes.
+    */
+    clearPersistedState() {
+        removePersistedState(this);
+    }
+
+    /**
+    * Reverts the most recent change to the properties declared by `history` (or the most recent `transaction()`).
+    *
+    * @returns {boolean} Whether there was a change to undo.
+    * @throws  {Error}   If the component doesn't declare a `history`.
+    */
+    undo() {
+        return undo(this);
+    }
+
+    /**
+    * Reapplies the most recently undone change.
+    *
+    * @returns {boolean} Whether there was a change to redo.
+    * @throws  {Error}   If the component doesn't declare a `history`.
+    */
+    redo() {
+        return redo(this);
+    }
+
+    /**
+    * Invokes the function, recording all of the changes it makes to the properties declared by `history` as a single
+    * step, so that they're undone together. The changes must be made synchronously.
+    *
+    * @example
+    * this.transaction(() => {
+    *     this.set('record.firstName', 'Brendan');
+    *     this.set('record.lastName', 'Eich');
+    * });
+    *
+    * @param   {Function} fn - Invoked with the component as `this`.
+    * @returns {}         The value returned by the function.
+    * @throws  {Error}    If the component doesn't declare a `history`.
+    */
+    transaction(fn) {
+        return transaction(this, fn);
+    }
+
+    /**
+    * Validates the fields declared by `validators` (or just the given ones) and publishes the results: each field's
+    * error message (or `null`) as `errors.<field>` and whether every field is valid as `isValid`, so that the template
+    * can display them (e.g. `text="{{ errors.firstName }}"`).
+    *
+    * @example
+    * save() {
+    *     return this.validate().then(({ isValid }) => isValid && api.save(this.get('firstName')));
+    * }
+    *
+    * @param   {Array<string>}   [fieldNames] - Defaults to all of the fields.
+    * @returns {Promise<Object>} A Promise for the `isValid` flag and the `errors` by field name (`null` for the valid fields).
+    *                            It's rejected if a validator throws an error or returns a rejected Promise.
+    */
+    validate(fieldNames) {
+        return validateFields(this, fieldNames);
+    }
+
+    /**
+    * Loads one of the component's `resources` again (e.g. for pull to refresh), updating its `loading.<name>` and
+    * `error.<name>` state. If the resource is still loading, the result of the earlier load is ignored.
+    *
+    * @param   {string}  name
+    * @returns {Promise} A Promise for the resource's new value. It's rejected if the resource fails to load.
+    * @throws  {Error}   If the resource isn't declared.
+    */
+    reload(name) {
+        return reload(this, name);
     }
 
     /**
@@ -54,6 +416,151 @@ class Component {
         // Userland
     }
 
+    /**
+    * Override this hook to make the component an error boundary for the components nested within it. It's called
+    * when `init()` throws an error or returns a rejected Promise for a nested component (at any depth), starting with
+    * the closest ancestor. Return `true` to indicate that the error has been handled, in which case it isn't passed to
+    * any other ancestors or to `Component.onError`.
+    *
+    * @example
+    * onInitError(error) {
+    *     this.set('errorMessage', `Part of this page couldn't be loaded.`);
+    *     return true;
+    * }
+    *
+    * @param   {Error}     error     - An error with `componentName`, `phase` and `originalError` properties.
+    * @param   {Component} component - The nested component that failed.
+    * @returns {boolean}   Whether the error was handled.
+    */
+    onInitError(/* error, component */) {
+        return false;
+    }
+
+    /**
+    * Override this hook to prepare for the component's disposal while its binding context, watchers, computed
+    * properties and tracked resources (see `addDisposer`) are still intact (e.g. to save state).
+    *
+    * Components are disposed upon their view's `unloaded` event (or, when views share an instance, upon the `unloaded`
+    * event of the last of them), unless they're `'app'` scoped (see `scope`). Because NativeScript unloads
+    * nested views before their parents, the disposal hooks run for child components before their parents.
+    *
+    * @see dispose
+    */
+    willDispose() {
+        // Userland
+    }
+
+    /**
+    * Override this hook to release anything the component holds onto (e.g. to cancel timers, HTTP requests and
+    * subscriptions that aren't tracked via `addDisposer`, `listenTo`, `setTimeout` or `setInterval`). It's called after
+    * `willDispose()`, once the component's watchers, computed properties and tracked resources have been released. After it returns, `isDisposed` is `true`, and `get()` and `set()` throw an error.
+    *
+    * @see willDispose
+    */
+    dispose() {
+        // Userland
+    }
+
+    /**
+    * Override this hook to react to a singleton (i.e. `'app'` scoped) component's view being shown. It's called each time one of its
+    * views is loaded, after `init()` has been called for that view (and after its Promise has resolved, if it
+    * returns one).
+    *
+    * Singleton components are never disposed, so use this hook and `onPageHidden` to start and stop work that should
+    * only happen while the component is displayed.
+    */
+    onPageShown() {
+        // Userland
+    }
+
+    /**
+    * Override this hook to react to a singleton (i.e. `'app'` scoped) component's views being unloaded (e.g. because the
+    * user navigated away from its page). It's called after the watchers, computed properties and tracked resources (see `addDisposer`)
+    * have been released.
+    */
+    onPageHidden() {
+        // Userland
+    }
+
+    /**
+    * Override this hook to keep the component instance when its root view is recycled for another item, e.g. by a
+    * `ListView` or `Repeater` whose item template is the component. NativeScript recycles an item view by replacing its
+    * `bindingContext` with the new item, which is then the component's binding context.
+    *
+    * When this hook is overridden, the instance is kept: its watchers, listeners, timers and other disposers are released,
+    * the XML attributes, props and other declarations (e.g. `computed` and `resources`) are applied to the new item, and
+    * then this hook is called instead of `init()`. Otherwise, the instance is disposed and a new instance is created and
+    * initialized for the new item. The instance is replaced as well if the view is recycled before `init()` (or the Promise
+    * it returned, or the `resources`) has settled, so that a pending result for the old item is never applied to the new one.
+    *
+    * @example
+    * onItemChanged(newItem) {
+    *     this.watch('quantity', () => this.updateTotal());
+    *     this.updateTotal();
+    * }
+    *
+    * @param {Observable|Object} newItem
+    * @param {Observable|Object} oldItem
+    */
+    onItemChanged(/* newItem, oldItem */) {
+        // Userland
+    }
+
+    /**
+    * Whether the component has been disposed.
+    *
+    * @type {boolean}
+    */
+    get isDisposed() {
+        return this._isDisposed;
+    }
+
+    /**
+    * The component whose view contains this component's view, or `null` if this is the outermost component.
+    * It's set when the page is loaded, before `init()` is called.
+    *
+    * @type {Component|null}
+    */
+    get parent() {
+        return this._parent;
+    }
+
+    /**
+    * The components nested directly within this component, in the order in which they were loaded.
+    *
+    * @type {Array<Component>}
+    */
+    get children() {
+        return this._children.slice();
+    }
+
+    /**
+    * Finds the nested component (at any depth) whose root view has the given `id`, searching the closest
+    * components first.
+    *
+    * @example
+    * // <e:editable-text id="firstName" .../>
+    * let firstName = this.findChild('firstName');
+    *
+    * @param   {string}         id
+    * @returns {Component|null}
+    */
+    findChild(id) {
+
+        let components = this._children.slice();
+
+        while (components.length) {
+
+            let component = components.shift();
+
+            if (component._view && component._view.id === id) {
+                return component;
+            }
+            components.push(...component._children);
+        }
+        return null;
+    }
+
     /**
     * The component's view.
     * @type {ui/View}
@@ -63,7 +570,8 @@ class Component {
         if (this._view) {
             return this._view;
         }
-        throw new Error('Cannot get view, because it has not been set yet.');
+        let message = `Cannot get view, because it has not been set yet. Is one of ${this.constructor.name}'s initialization hooks (e.g. onLoaded) hooked up in its template?`;
+        throw new ComponentMisuseError({ code: 'MISSING_INIT_HOOK', message });
     }
 
     /**
@@ -82,7 +590,15 @@ class Component {
     }
 
     set bindingContext(context) {
-        this.view.bindingContext = context;
+
+        // Assigning the binding context isn't mistaken for the view being recycled (see `_handleItemChange()`).
+        this._isAssigningBindingContext = true;
+
+        try {
+            this.view.bindingContext = context;
+        } finally {
+            this._isAssigningBindingContext = false;
+        }
     }
 
     /**
@@ -107,7 +623,8 @@ class Component {
     * By default, multiple instances of the component can be created,
     * and each instance is destroyed upon its view's `unloaded` event. To change this behavior so
     * that only a single instance of your component is created and is kept alive throughout
-    * the lifetime of your application, override this property to be `true`.
+    * the lifetime of your application, override this property to be `true`. This is the same
+    * as overriding `scope` to be `'app'`.
     *
     * @type {boolean}
     */
@@ -115,6 +632,318 @@ class Component {
         return false;
     }
 
+    /**
+    * Override this property to control which views share an instance of the component and how long the instance lives:
+    *
+    * - `'view'` - Each view gets its own instance, which is disposed upon the view's `unloaded` event. This is the default
+    *   (unless `isSingleton` is overridden).
+    * - `'page'` - The views within the same page share an instance, which is disposed once the last of them is unloaded.
+    * - `'app'`  - All of the views share an instance, which is kept alive throughout the lifetime of the application. Its
+    *   `onPageHidden()` hook is called once the last of its views is unloaded, and it's initialized again (and `onPageShown()`
+    *   is called) for the next view that's loaded.
+    *
+    * Views that are loaded while another view of the same instance is loaded share that view's binding context, and `init()`
+    * isn't called again for them. See also `instanceKey()`.
+    *
+    * @type {string}
+    */
+    static get scope() {
+        return this.isSingleton ? 'app' : 'view';
+    }
+
+    /**
+    * Override this hook to share instances of the component by key within its `scope`: views for which this returns the same
+    * key share an instance (and views for which it returns different keys don't). The instance's lifetime is still determined
+    * by its scope, so a `'view'` scoped instance is disposed once the last view with its key is unloaded.
+    *
+    * The hook is called when the view's initialization hook is invoked, so static XML attributes can be used as keys, but
+    * bound (`{{ }}`) attributes can't.
+    *
+    * @example
+    * // One instance for each user shown on the page.
+    * static instanceKey(view) {
+    *     return view.userId;
+    * }
+    *
+    * @param   {ui/View} view
+    * @returns {}        The key, or `undefined` to use only the `scope`.
+    */
+    static instanceKey() {
+        return undefined;
+    }
+
+    /**
+    * Override this hook to prevent navigating to the component's page (e.g. when the user isn't authorized to see it).
+    * It's consulted before navigating via `navigate()` or `Component.router`, after the global guards.
+    *
+    * @param   {Object}                   [context] - The navigation context the page would be navigated to with.
+    * @returns {boolean|Promise<boolean>} `false` (or a Promise for `false`) to cancel the navigation.
+    */
+    static canEnter() {
+        return true;
+    }
+
+    /**
+    * The router that `navigate()` uses to find components' modules and to navigate to URLs. Configure it to register
+    * routes or to change where components are located, or assign your own `Router`.
+    *
+    * @example
+    * Component.router.configure({ componentsRoot: 'views' });
+    * Component.router.addRoutes({ 'user/:id': 'user-details' });
+    *
+    * @type {Router}
+    */
+    static get router() {
+        return router;
+    }
+
+    static set router(newRouter) {
+        router = newRouter;
+    }
+
+    /**
+    * Override this property to be `true` so that when this component's `init()` throws an error or returns a rejected
+    * Promise, `init()` isn't called for the components nested within it (or for the components nested within those).
+    * By default, nested components are still initialized after their parent fails.
+    *
+    * @type {boolean}
+    */
+    static get skipChildInitOnError() {
+        return false;
+    }
+
+    /**
+    * Handles an error thrown (or a Promise rejected) by a component's lifecycle hook which wasn't handled by an error
+    * boundary (see `onInitError`). By default, the error is logged. Assign your own function to `Component.onError`
+    * to handle errors for all components (e.g. to report them), or override it in a subclass to handle that
+    * component's errors.
+    *
+    * @example
+    * Component.onError = (error, component, phase) => crashReporter.report(error);
+    *
+    * @param {Error}     error     - An error whose message names the component class and phase and which has
+    *                                `componentName`, `phase` and `originalError` properties.
+    * @param {Component} component
+    * @param {string}    phase     - `'init'`, `'onPageShown'`, `'onPageHidden'`, `'onItemChanged'` or `'dispose'`.
+    */
+    static onError(error) {
+
+        let { originalError } = error,
+            details = (originalError && originalError.stack) ? `\n${originalError.stack}` : '';
+
+        logError(`${error.message}${details}`, error);
+    }
+
+    /**
+    * Override this property to declare the properties that the component accepts as XML attributes or as
+    * `navigationContext` properties. Each key is a prop name, and each value is either the name of the prop's
+    * type or an object with these options:
+    *
+    * - `type` - `'any'` (the default), `'string'`, `'number'`, `'boolean'`, `'json'`, `'object'`, `'array'` or `'function'`.
+    *   Static XML attribute values are always strings, so `'number'`, `'boolean'` and `'json'` props are coerced from strings
+    *   (e.g. `count="3"` becomes `3`).
+    * - `default` - The value used when the prop isn't passed. Use a function that returns the value for objects and arrays
+    *   so that instances don't share them.
+    * - `required` - Whether an error is thrown when the prop isn't passed.
+    *
+    * The props are checked and set on the binding context before `init()` is called. When props are declared,
+    * a warning is logged during development for any XML attribute that isn't one of them.
+    *
+    * @example
+    * static get props() {
+    *     return {
+    *         record: { type: 'object', required: true },
+    *         count: { type: 'number', default: 0 },
+    *         editable: 'boolean'
+    *     };
+    * }
+    *
+    * @type {Object|null}
+    */
+    static get props() {
+        return null;
+    }
+
+    /**
+    * Override this property to declare computed properties: binding context properties whose values are derived
+    * from other binding context properties. Each key is the name of a computed property, and each value is an
+    * object with these options:
+    *
+    * - `deps` - The names (or key paths) of the binding context properties the value is derived from.
+    * - `get` - A function which returns the value. It's invoked with the component as `this`.
+    *
+    * Computed properties are set on the binding context before `init()` is called and are set again whenever one
+    * of their dependencies changes, so they can be bound to in the template. Dependencies can only be tracked
+    * when they're set via `set()` or on Observables.
+    *
+    * @example
+    * static get computed() {
+    *     return {
+    *         fullName: {
+    *             deps: [ 'firstName', 'lastName' ],
+    *             get() {
+    *                 return `${this.get('firstName')} ${this.get('lastName')}`;
+    *             }
+    *         }
+    *     };
+    * }
+    *
+    * @type {Object|null}
+    */
+    static get computed() {
+        return null;
+    }
+
+    /**
+    * Override this property to keep binding context properties in sync with slices of the app's `Store`. Each key
+    * is a binding context property name, and each value is the key path of the state it mirrors. The properties are
+    * set before `init()` is called and are updated whenever the state changes, until the component's view is unloaded.
+    *
+    * The store is the one provided under the `'store'` key (see `provide()` and `Component.provide()`).
+    *
+    * @example
+    * static get mapState() {
+    *     return { user: 'session.user' };
+    * }
+    *
+    * @type {Object|null}
+    */
+    static get mapState() {
+        return null;
+    }
+
+    /**
+    * Override this property to persist binding context properties, so that they're restored when the component is
+    * created again (e.g. after the app was killed). It's either an array of property names or an object with these options:
+    *
+    * - `keys` - Required. The names of the binding context properties to persist.
+    * - `storageKey` - The key the state is stored under, which must be unique within the app and mustn't change between
+    *   releases. Defaults to the class name, so set it if the app's build mangles class names, if another persisted
+    *   class has the same name or if the class is anonymous.
+    * - `version` - The version of the persisted state's shape (`1` by default). Increment it when the shape changes.
+    * - `migrate` - A function which is passed state persisted with a different version and that version, and which returns
+    *   the state for the current version (or `null` to discard it). The migrated state is saved with the current version.
+    *   Without it, such state is discarded with a warning.
+    * - `key` - A function which is passed the component and returns a key that distinguishes its state from that of other
+    *   instances of the class. By default, the component's `instanceKey()` is used.
+    *
+    * The properties are restored after the props are applied and before `init()` is called, and they're saved whenever
+    * they change (including changes within Observables and ObservableArrays). Their values must be serializable as JSON,
+    * and restored objects are converted to Observables. The state is saved via
+    * `application-settings` unless another storage adapter is configured (see `Component.configure()`).
+    *
+    * @example
+    * static get persist() {
+    *     return [ 'draft', 'filters' ];
+    * }
+    *
+    * @example
+    * static get persist() {
+    *     return {
+    *         storageKey: 'compose-message',
+    *         keys: [ 'draft' ],
+    *         version: 2,
+    *         migrate: (state, fromVersion) => fromVersion === 1 ? { draft: { body: state.draft } } : null
+    *     };
+    * }
+    *
+    * @type {Array<string>|Object|null}
+    */
+    static get persist() {
+        return null;
+    }
+
+    /**
+    * Override this property to record the changes to binding context properties, so that they can be undone via
+    * `undo()` and redone via `redo()`. It's either an array of property names or an object with these options:
+    *
+    * - `keys` - The names of the binding context properties to record changes to. Changes to properties nested
+    *   within Observables and ObservableArrays are recorded too.
+    * - `limit` - The maximum number of steps that can be undone (`100` by default).
+    *
+    * Each change is a step, unless several are grouped via `transaction()`. The `canUndo` and `canRedo` binding context
+    * properties are kept up to date, so they can be bound to (e.g. `isEnabled="{{ canUndo }}"`). Recording starts once
+    * `init()` (and the Promise it returns, if any) and the resources have settled, so the values assigned while initializing
+    * aren't undoable, and the history is discarded when the component is released.
+    *
+    * @example
+    * static get history() {
+    *     return { keys: [ 'record' ], limit: 50 };
+    * }
+    *
+    * @type {Array<string>|Object|null}
+    */
+    static get history() {
+        return null;
+    }
+
+    /**
+    * Override this property to validate binding context fields (see `validate()`). Each key is a field's name (or key path),
+    * and each value is a validator or an array of validators, which are run in order until one of them reports an error.
+    * A validator is passed the field's value and the component and returns an error message if the value is invalid,
+    * or `null` if it's valid (or a Promise for either). `nativescript-component/dist/validators` exports common ones.
+    *
+    * The `errors` binding context property is set to an Observable with a `null` error for each field and `isValid` is set
+    * to `false` before `init()` is called, and fields are validated whenever they change unless `validateOnChange` is
+    * overridden to be `false`. A field's error is only published once it has been validated, but `isValid` only becomes
+    * `true` once every field is valid, including the fields that haven't been validated yet.
+    *
+    * @example
+    * import { required, maxLength } from 'nativescript-component/dist/validators';
+    *
+    * static get validators() {
+    *     return { firstName: [ required(), maxLength(40) ] };
+    * }
+    *
+    * @type {Object|null}
+    */
+    static get validators() {
+        return null;
+    }
+
+    /**
+    * Whether each field declared by `validators` is validated whenever its value changes. Override this property to be
+    * `false` to only validate fields when `validate()` is called.
+    *
+    * @type {boolean}
+    */
+    static get validateOnChange() {
+        return true;
+    }
+
+    /**
+    * Override this property to load data into the binding context declaratively. Each key is the name of a binding
+    * context property, and each value is a function which is passed the component and returns the property's value or
+    * a Promise for it.
+    *
+    * The resources start loading after the props are applied, right before `init()` is called, and nested components
+    * are initialized once they've all loaded or failed (as they are once a Promise returned by `init()` settles). While a
+    * resource loads, `loading.<name>` is `true`. If it fails, `error.<name>` is set to the error and a warning is logged.
+    * Results that arrive after the component's view is unloaded are ignored. See also `reload()`.
+    *
+    * @example
+    * static get resources() {
+    *     return { user: component => api.getUser(component.get('userId')) };
+    * }
+    *
+    * @type {Object|null}
+    */
+    static get resources() {
+        return null;
+    }
+
+    /**
+    * Override this property to declare the names of the custom events the component emits via `emit()`. A parent
+    * component handles an event by passing the name of one of its methods as an XML attribute named after the event
+    * (e.g. `<e:editable-text save="onChildSave"/>`). Attributes for declared events aren't treated as props, so
+    * they aren't set on the binding context.
+    *
+    * @type {Array<string>}
+    */
+    static get events() {
+        return [];
+    }
+
     /**
     * If the component's root element is `Page`, hook this method up to its XML template's `navigatingTo` event (i.e. `navigatingTo="onNavigatingTo"`)
     * so that the component is instantiated when the view is loaded.
@@ -161,17 +990,20 @@ class Component {
     */
     onLoaded(options) {
 
-        try {
-            if (options.object === options.object.page) {
+        let isPage = false;
 
-                let scaryMessage = `⚠ WARNING: ${this.constructor.name} was hooked up to a Page XML element using 'onLoaded' instead of 'onNavigatingTo', ` +
-                                   `which means that nested components will be initialized prior to the Page component. To ensure that the Page component is ` +
-                                   `initialized before its nested components, hook it up to the template using 'onNavigatingTo' instead, and use 'onLoaded' only for ` +
-                                   `components whose element is not Page (i.e. nested elements)`;
-                console.log(scaryMessage);
-            }
+        try {
+            isPage = options.object === options.object.page;
         } catch (error) {}
 
+        if (isPage) {
+            let scaryMessage = `${this.constructor.name} was hooked up to a Page XML element using 'onLoaded' instead of 'onNavigatingTo', ` +
+                               `which means that nested components will be initialized prior to the Page component. To ensure that the Page component is ` +
+                               `initialized before its nested components, hook it up to the template using 'onNavigatingTo' instead, and use 'onLoaded' only for ` +
+                               `components whose element is not Page (i.e. nested elements)`;
+            reportMisuse('PAGE_HOOKED_WITH_ON_LOADED', scaryMessage);
+        }
+
         this._internalInit(...arguments);
     }
 
@@ -191,80 +1023,457 @@ class Component {
     */
     onShownModally(options) {
 
-        this._internalInit(...arguments);
+        // These are set first, because `_internalInit()` can invoke `init()` right away if the page is already loaded.
         this._modalContext = options.context;
         this._closeModalCallback = options.closeCallback;
-        this._setNavigationContextProperties(this._modalContext);
+        this._internalInit(...arguments);
+        attachModalComponent(this, this._modalContext);
+    }
+
+    /**
+    * Launches the given modal on the current page (or, if a modal shown via this method is open, on that modal's page),
+    * passing the modal page a Node-style callback to call. The modals are tracked as a stack; see `Component.currentModal`
+    * and `Component.closeAllModals()`.
+    *
+    * The returned Promise is resolved with the modal's result, which is `undefined` if the modal was dismissed without one.
+    * To tell how the modal was dismissed, pass `withReason: true`, so that the Promise is resolved with one of these instead:
+    *
+    * - `{ reason: 'result', result }` - The modal called `closeModal(null, result)`.
+    * - `{ reason: 'cancel' }`         - The modal called `cancelModal()` (or its callback without arguments, e.g. when it was
+    *                                    dismissed by the system), or it was closed via `Component.closeAllModals()`.
+    * - `{ reason: 'timeout' }`        - The modal was still open after `options.timeout` milliseconds, so it was closed.
+    *
+    * @example
+    * this.showModal({ component: 'confirm-dialog', context: { message: 'Discard your changes?' } })
+    * .then(confirmed => confirmed && this.discardChanges());
+    *
+    * this.showModal({ component: 'confirm-dialog', timeout: 30000, withReason: true })
+    * .then(({ reason, result }) => reason === 'timeout' && this.logOut());
+    *
+    * @param   {Object}      options
+    * @param   {string|Page} [options.modal]      - The path, from the root of the project, to the modal view or the
+    *                                               Page instance you which to display as the modal.
+    * @param   {string}      [options.component]  - The name of the component to display as the modal, which is converted
+    *                                               to a module name like `navigate({ component })` is. Either this or `modal`
+    *                                               is required.
+    * @param   {}            [options.context]    - Optional context to pass to to the modal view. Plain objects are copied.
+    * @param   {boolean}     [options.fullscreen] - Optionally specify whether the modal should appear full screen.
+    * @param   {number}      [options.timeout]    - Optionally close the modal if it's still open after this many milliseconds.
+    * @param   {boolean}     [options.withReason] - Resolve with the reason the modal was dismissed along with its result (see above).
+    * @returns {Promise}     A promise for the modal's result (or the reason it was dismissed, see above), which is rejected if
+    *                        the modal passes an error to its callback.
+    */
+    showModal(options) {
+
+        return validateAsync(options, [ [ 'modal', 'component' ] ])
+        .then(() => {
+
+            let { modal, component, context, fullscreen, timeout, withReason } = options,
+                resolve,
+                reject,
+                timeoutId;
+
+            if (component) {
+                modal = router.getModuleName(component);
+            }
+            if (context === undefined || (context && Object.getPrototypeOf(context) === Object.prototype)) {
+                // The context is copied so that it identifies this modal when the modal's component is shown.
+                context = Object.assign({}, context);
+            }
+
+            let topModal = getTopModal(),
+                parentPage = (topModal && topModal.page) || frame.topmost().currentPage,
+                promise = new Promise((...args) => ([ resolve, reject ] = args));
+
+            let entry = {
+                moduleName: typeof modal === 'string' ? modal : undefined,
+                context,
+                page: typeof modal === 'string' ? null : modal,
+                component: null,
+                dismissReason: null,
+                close: reason => {
+
+                    if (!entry.page) {
+                        return Promise.reject(new Error(`The modal can't be closed, because its page isn't known.`));
+                    }
+                    entry.dismissReason = reason;
+                    let { page } = entry;
+                    page.closeModal();
+                    return waitForUnload(page);
+                }
+            };
+
+            let callback = (...args) => {
+
+                let [ err, result ] = args,
+                    { dismissReason } = entry;
+
+                removeModal(entry);
+                clearTimeout(timeoutId);
+
+                if (!dismissReason && err) {
+                    reject(err);
+                    return;
+                }
+                if (!withReason) {
+                    resolve(dismissReason ? undefined : result);
+                } else if (dismissReason) {
+                    resolve({ reason: dismissReason });
+                } else if (args.length < 2) {
+                    resolve({ reason: 'cancel' });
+                } else {
+                    resolve({ reason: 'result', result });
+                }
+            };
+
+            pushModal(entry);
+
+            try {
+                entry.page = parentPage.showModal(modal, context, callback, fullscreen) || entry.page;
+            } catch (error) {
+                removeModal(entry);
+                throw error;
+            }
+
+            if (timeout > 0) {
+                timeoutId = setTimeout(() => {
+                    entry.close('timeout').catch(error => logError(`Closing the modal after its timeout failed: ${error.message}`, error));
+                }, timeout);
+            }
+            return promise;
+        });
+    }
+
+    /**
+    * Navigates to a specific Page via [`frame.topmost().navigate`](http://docs.nativescript.org/api-reference/classes/_ui_frame_.frame.html#navigate),
+    * once the navigation guards allow it (see `canLeave()`, `Component.canEnter()` and `Router#addGuard`).
+    *
+    * This method also adds support for an optional `component` parameter that can be specified
+    * when providing a [NavigationEntry](http://docs.nativescript.org/api-reference/interfaces/_ui_frame_.navigationentry.html)
+    * object to `navigate`. This simply makes it so that calling `navigate({ component: 'my-component', ... })` is automatically converted
+    * to `navigate({ moduleName: 'components/my-component/my-component', ... })` (or whichever module name `Component.router`
+    * is configured to use).
+    *
+    * A URL that matches one of `Component.router`'s routes can be passed instead of a NavigationEntry, in which case
+    * the route's parameters and query values become the target component's navigation context. Any other string is
+    * treated as a module name.
+    *
+    * @example
+    * this.navigate('user/42', { query: { tab: 'posts' }, animated: false });
+    *
+    * @param   {NavigationEntry|string} entry
+    * @param   {string}                 [entry.component] - The name of the component to transition to.
+    * @param   {Object}                 [options]         - When navigating to a URL, the options for `Router#navigate`.
+    * @returns {Promise<boolean>}       A promise for whether the navigation happened (i.e. no guard cancelled it).
+    */
+    navigate(entry, options) {
+
+        if (typeof entry === 'string') {
+            return router.resolve(entry) ? router.navigate(entry, options) : router.navigateToEntry({ moduleName: entry });
+        }
+        return router.navigateToEntry(entry);
+    }
+
+    /**
+    * Navigates back to the previous page via `frame.topmost().goBack()`, once the navigation guards allow it.
+    *
+    * @returns {Promise<boolean>} A promise for whether the navigation happened.
+    */
+    goBack() {
+        return router.goBack();
+    }
+
+    /**
+    * Navigates to a page whose component reports back a result via `finish()`, like a picker or the last step of
+    * a wizard.
+    *
+    * @example
+    * this.navigateForResult({ component: 'color-picker', context: { color: this.get('color') } })
+    * .then(({ reason, result }) => {
+    *     if (reason === 'result') {
+    *         this.set('color', result);
+    *     }
+    * });
+    *
+    * @param   {NavigationEntry} entry             - The entry to navigate to, as for `navigate()`.
+    * @param   {string}          [entry.component] - The name of the component to transition to.
+    * @param   {Object}          [entry.context]   - The navigation context. A copy is passed to the page.
+    * @returns {Promise<Object>} A promise that's resolved once the page is navigated back from with either
+    *                            `{ reason: 'result', result }`, if the page called `finish(result)`, or `{ reason: 'cancel' }`,
+    *                            if the user navigated back without finishing or the navigation was cancelled or redirected
+    *                            by a guard.
+    *                            It's rejected if the navigation fails or if the page is unloaded without being navigated
+    *                            back from (e.g. because the navigation history was cleared).
+    */
+    navigateForResult(entry) {
+
+        let context = Object.assign({}, entry.context),
+            promise = createResultRequest(context);
+
+        return router._navigateToEntry(Object.assign({}, entry, { context }))
+        .then(navigatedEntry => {
+
+            if (!navigatedEntry || navigatedEntry.context !== context) {
+                // The navigation was cancelled, or a guard redirected it to another page, which won't finish() the request.
+                cancelResultRequest(context);
+            }
+            return promise;
+        }, error => {
+            cancelResultRequest(context);
+            throw error;
+        });
+    }
+
+    /**
+    * Navigates back from a page that was navigated to via `navigateForResult()`, resolving the Promise it returned
+    * with the given result.
+    *
+    * @param   {}                 [result]
+    * @returns {Promise<boolean>} A promise for whether the navigation happened (see `goBack()`).
+    */
+    finish(result) {
+
+        if (!setResult(this, result) && result !== undefined && isDevelopment()) {
+            this._warn(`${this.constructor.name}.finish() was called, but the page wasn't navigated to via navigateForResult(), so the result is ignored.`);
+        }
+
+        return this.goBack()
+        .then(navigated => {
+
+            if (!navigated) {
+                clearResult(this);
+            }
+            return navigated;
+        });
+    }
+
+    /**
+    * Override this hook to prevent the user from navigating away from the component's page (e.g. while it has
+    * unsaved edits). It's consulted before navigating via `navigate()`, `goBack()`, `Component.router` or Android's
+    * back button for the component of the current page and for the components nested within it.
+    *
+    * iOS's navigation bar back button navigates back without consulting it, so hide that button (e.g. via the
+    * `ActionBar`'s `NavigationButton`) on pages that need to keep the user until they allow leaving.
+    *
+    * @returns {boolean|Promise<boolean>} `false` (or a Promise for `false`) to cancel the navigation.
+    */
+    canLeave() {
+        return true;
+    }
+
+    /**
+    * If the component was shown modally, this method calls the callback that was provided to `showModal()`.
+    * If it was shown modally using this class's `showModal` method, the callback is a Node-style callback, and
+    * the modal is dismissed with the `'result'` reason (see `showModal()`).
+    * If it was not shown modally using this class's `showModal` method, the parameters depend on what is
+    * expected by the code that showed the modal.
+    *
+    * @param   {Error|string|null} err  - The error if an error ocurred, or else `null`.
+    * @param   {}                  data - The result, if there is one.
+    * @returns {Promise}           A promise that's resolved once the modal's view has been unloaded.
+    *
+    * @throws {Error} - Throws an error if the component wasn't shown modally.
+    */
+    closeModal() {
+
+        if (!this._closeModalCallback) {
+            throw new Error(`No 'closeCallback' function has been set, probably because the component hasn't been shown modally`);
+        }
+        let { view } = this;
+        this._closeModalCallback(...arguments);
+        return waitForUnload(view);
+    }
+
+    /**
+    * Closes the modal without a result, so that it's dismissed with the `'cancel'` reason (see `showModal()`).
+    *
+    * @returns {Promise} A promise that's resolved once the modal's view has been unloaded.
+    * @throws  {Error}   If the component wasn't shown modally.
+    */
+    cancelModal() {
+        return this.closeModal();
+    }
+
+    /**
+    * Provides a value to all components in the app, which they can get via `inject()` unless an ancestor
+    * component provides the same key.
+    *
+    * @example
+    * // app.js
+    * Component.provide('api', new ApiClient('https://example.com'));
+    *
+    * @param {} key
+    * @param {} value
+    */
+    static provide(key, value) {
+        rootProviders.set(key, value);
+    }
+
+    /**
+    * The modal on top of the stack of modals shown via `showModal()`, or `null` if none are open. It has these properties:
+    *
+    * - `moduleName` - The module name of the modal view, if it was shown by module or component name.
+    * - `context`    - The modal context.
+    * - `page`       - The modal's Page.
+    * - `component`  - The modal's component instance, if it's a component.
+    *
+    * @type {Object|null}
+    */
+    static get currentModal() {
+
+        let entry = getTopModal();
+
+        if (!entry) {
+            return null;
+        }
+        let { moduleName, context, page, component } = entry;
+        return { moduleName, context, page, component };
+    }
+
+    /**
+    * Closes every modal shown via `showModal()`, from the top of the stack down. Each is dismissed with the `'cancel'` reason.
+    * A modal that can't be closed is reported via the logger and skipped.
+    *
+    * @returns {Promise} A promise that's resolved once all of the modals that could be closed are gone.
+    */
+    static closeAllModals() {
+
+        return getModals().reverse().reduce((promise, entry) => promise.then(() => {
+
+            return entry.close('cancel').catch(error => logError(`Closing the modal '${entry.moduleName || 'page'}' failed: ${error.message}`, error));
+        }), Promise.resolve());
+    }
+
+    /**
+    * Configures how the library reports problems and where it persists state.
+    *
+    * - `logger` - An object with `info`, `warn` and `error` methods (any that are missing log to the console), which
+    *   receive the library's messages instead of the console, e.g. to route warnings to crash reporting. The `error` method
+    *   is also passed the error being reported (e.g. by the default `Component.onError`). Pass `null` to log to the console again.
+    * - `strict` - When `true`, misuse that's normally only logged as a warning throws an error instead. These errors have a
+    *   `code` that identifies the kind of misuse: `'PAGE_HOOKED_WITH_ON_LOADED'`, `'UNKNOWN_COMPONENT_ID'` or
+    *   `'SINGLETON_NOT_INSTANTIATED'`. Using a component whose initialization hook hasn't been invoked always throws an error
+    *   with the `'MISSING_INIT_HOOK'` code.
+    * - `storage` - The adapter that persisted state is saved to (see `persist`): an object with `getItem(key)`,
+    *   `setItem(key, value)` and `removeItem(key)` methods, like `MemoryStorage`. Pass `null` to use `application-settings` again.
+    *
+    * @example
+    * Component.configure({
+    *     strict: __DEV__,
+    *     logger: { warn: message => crashReporter.log(message) }
+    * });
+    *
+    * @param {Object}  options
+    * @param {Object}  [options.logger]
+    * @param {boolean} [options.strict=false]
+    * @param {Object}  [options.storage]
+    */
+    static configure(options) {
+
+        configure(options);
+
+        if (options.storage !== undefined) {
+            setStorage(options.storage);
+        }
+    }
+
+    /**
+    * Returns the live instances of this component class (including subclasses), or of every component class when called
+    * on `Component` itself. Instances that have been disposed aren't included, but `'app'` scoped instances whose views
+    * are all unloaded are.
+    *
+    * @example
+    * Component.getInstances().map(component => component.constructor.name);
+    * UserCard.getInstances();
+    *
+    * @returns {Array<Component>}
+    */
+    static getInstances() {
+        return getInstances().filter(component => component instanceof this);
+    }
+
+    /**
+    * Returns the component that owns the view: the component whose root view it is or, for a view within a
+    * component's template, the closest such component.
+    *
+    * @param   {ui/View}        view
+    * @returns {Component|null}
+    */
+    static findByView(view) {
+        return view ? getComponentForView(view) : null;
     }
 
     /**
-    * Launches the given modal on the current page, passing the modal page a Node-style callback to call.
+    * Returns a snapshot of the live component hierarchy for debugging. It only contains plain values, so it can be
+    * logged or sent elsewhere via `JSON.stringify()`. Each node has these properties:
     *
-    * @param   {Object}      options
-    * @param   {string|Page} options.modal        - The path, from the root of the project, to the modal view or the
-    *                                               Page instance you which to display as the modal.
-    * @param   {}            [options.context]    - Optional context to pass to to the modal view.
-    * @param   {boolean}     [options.fullscreen] - Optionally specify whether the modal should appear full screen.
-    * @returns {Promise}     A promise containing the results passed back by the modal.
+    * - `name`        - The component's class name.
+    * - `id`          - The component's ID.
+    * - `scope`       - See `scope`.
+    * - `initState`   - `'pending'`, `'initializing'`, `'initialized'`, `'failed'` or `'skipped'`.
+    * - `viewCount`   - The number of loaded views the instance is shown in.
+    * - `bindingContextKeys` - The names of the data properties on the component's binding context.
+    * - `children`    - The nodes of the components nested within it.
+    *
+    * @example
+    * console.log(JSON.stringify(Component.dumpTree(), null, 2));
+    *
+    * @returns {Array<Object>} The nodes of the outermost components.
     */
-    showModal(options) {
-
-        return validateAsync(options, [ 'modal' ])
-        .then(() => {
-
-            let { modal, context, fullscreen } = options,
-                resolve,
-                reject,
-                currentPage = frame.topmost().currentPage;
+    static dumpTree() {
 
-            let promise = new Promise((...args) => ([ resolve, reject ] = args));
-            let callback = (err, ret) => err ? reject(err) : resolve(ret);
-
-            currentPage.showModal(modal, context, callback, fullscreen);
-            return promise;
-        });
+        return getInstances()
+        .filter(component => !component.parent || component.parent.isDisposed)
+        .map(describeComponentTree);
     }
 
     /**
-    * An alias for [`frame.topmost().navigate`](http://docs.nativescript.org/api-reference/classes/_ui_frame_.frame.html#navigate)
-    * which navigates to a specific Page.
+    * Starts recording an event for each lifecycle transition of every component (e.g. `'created'`, `'waitingForParent'`,
+    * `'initializing'`, `'initialized'`, `'failed'`, `'skipped'`, `'shown'`, `'hidden'`, `'viewAttached'`, `'viewDetached'`,
+    * `'itemChanged'` and `'disposed'`). Each event is an object with `timestamp`, `event`, `componentName` and `componentId` properties
+    * (and, for some events, more details). The log is off by default, because recording it has a cost.
     *
-    * This method also adds support for an optional `component` parameter that can be specified
-    * when providing a [NavigationEntry](http://docs.nativescript.org/api-reference/interfaces/_ui_frame_.navigationentry.html)
-    * object to `navigate`. This simply makes it so that calling `navigate({ component: 'my-component', ... })` is automatically converted
-    * to `navigate({ moduleName: 'components/my-component/my-component', ... })`.
+    * @example
+    * Component.enableLifecycleLog({ onEvent: event => logger.debug('lifecycle', event) });
     *
-    * @param {NavigationEntry} [entry]
-    * @param {string}          [entry.component] - The name of the component to transition to.
+    * @param {Object}   [options]
+    * @param {Function} [options.onEvent]   - Invoked with each event as it's recorded.
+    * @param {number}   [options.limit=500] - The number of events to keep in `Component.lifecycleLog`. Older events are discarded.
     */
-    navigate() {
-
-        let arg = arguments[0];
+    static enableLifecycleLog(options = {}) {
+        enableLifecycleLog(options);
+    }
 
-        if (typeof arg === 'object' && typeof arg.component === 'string') {
-            let { component } = arg;
-            arg.moduleName = `components/${component}/${component}`;
-        }
-        return frame.topmost().navigate(...arguments);
+    /**
+    * Stops recording lifecycle events and discards the recorded ones.
+    */
+    static disableLifecycleLog() {
+        disableLifecycleLog();
     }
 
     /**
-    * If the component was shown modally, this method calls the callback that was provided to `showModal()`.
-    * If it was shown modally using this class's `showModal` method, the callback is a Node-style callback.
-    * If it was not shown modally using this class's `showModal` method, the parameters depend on what is
-    * expected by the code that showed the modal.
-    *
-    * @param  {Error|string|null} err  - The error if an error ocurred, or else `null`.
-    * @param  {}                  data - The result, if there is one.
+    * The lifecycle events recorded since `Component.enableLifecycleLog()` was called, oldest first.
     *
-    * @throws {Error} - Throws an error if the component wasn't shown modally.
+    * @type {Array<Object>}
     */
-    closeModal() {
+    static get lifecycleLog() {
+        return getLifecycleEvents();
+    }
 
-        if (this._closeModalCallback) {
-            return this._closeModalCallback(...arguments);
-        }
-        throw new Error(`No 'closeCallback' function has been set, probably because the component hasn't been shown modally`);
+    /**
+    * Forgets the component instances of previously exported classes and stops the lifecycle event log (e.g. between tests).
+    * @private
+    */
+    static _clearRegistry() {
+        clearRegistry();
+    }
+
+    /**
+    * Removes the values provided via `Component.provide()` (e.g. between tests).
+    * @private
+    */
+    static _clearRootProviders() {
+        rootProviders.clear();
     }
 
     /**
@@ -284,11 +1493,18 @@ class Component {
 
         let componentManager = new ComponentManager({ componentClass: this });
         componentManager.export(moduleExports);
+
+        // Exported so that the router can consult it before navigating to the module.
+        moduleExports.canEnter = context => this.canEnter(context);
     }
 
+    /**
+    * @returns {Array<string>} The names of the properties that were passed as XML attributes.
+    * @private
+    */
     _assignXmlAttributesToBindingContext() {
 
-        // First, get the names of all the properties passed as XML attributes in the template.f
+        // First, get the names of all the properties passed as XML attributes in the template.
         let paramNames = this._getNamesOfPropertiesPassedAsXmlAttributes();
 
         let xmlParamsToApply = {};
@@ -332,24 +1548,63 @@ class Component {
             let value = xmlParamsToApply[paramName];
             this.set(paramName, value);
         }
+        return paramNames;
+    }
+
+    /**
+    * Applies the `static props` declaration to the binding context: sets default values, coerces values
+    * to their declared types and verifies that required props were passed.
+    *
+    * @param {Array<string>} attributeNames - The names of the properties that were passed as XML attributes.
+    * @throws {Error} If a required prop is missing or a prop's value is invalid.
+    * @private
+    */
+    _applyProps(attributeNames) {
+
+        let props = this.constructor.props;
+
+        if (!props) {
+            return;
+        }
+        let componentName = this.constructor.name,
+            definitions = normalizePropDefinitions(props);
+
+        if (isDevelopment()) {
+            for (let name of attributeNames) {
+                if (!definitions[name]) {
+                    this._warn(`${componentName} was passed the XML attribute '${name}', which isn't declared in its props.`);
+                }
+            }
+        }
+
+        for (let name in definitions) {
+
+            let value = resolvePropValue(componentName, name, definitions[name], this.get(name));
+
+            if (value !== undefined) {
+                this.set(name, value);
+            }
+        }
     }
 
     /**
     * When parameters are passed to a component as XML attributes, they provided as
     * properties on the container. This method picks out such properties by comparing
-    * the container to a new instance of the same class.
+    * the container to the properties that a new instance of the same class has by default.
     *
     * @private
     */
     _getNamesOfPropertiesPassedAsXmlAttributes() {
 
-        let exampleInstance = new this.view.constructor(),
+        let defaultPropertyNames = getDefaultPropertyNames(this.view.constructor),
             parameters = [];
 
-        let shouldIgnoreKey = key => key === 'exports' || key.includes('xmlns');
+        let events = this.constructor.events;
+        // Attributes for the component's events hold the names of the parent's handler methods, so they aren't props.
+        let shouldIgnoreKey = key => key === 'exports' || key.includes('xmlns') || events.includes(key);
 
         for (let key of Object.getOwnPropertyNames(this.view)) {
-            if (exampleInstance[key] === undefined && key[0] !== '_' && !shouldIgnoreKey(key)) {
+            if (!defaultPropertyNames.has(key) && key[0] !== '_' && !shouldIgnoreKey(key)) {
                 parameters.push(key);
             }
         }
@@ -362,23 +1617,63 @@ class Component {
     * @private
     */
     _getParentComponent() {
-        // When a view's parent is itself, it's the outermost view.
-        if (this.view.parent === this.view) return null;
+        // When a view's parent is itself (or it has no parent), it's the outermost view.
+        if (!this.view.parent || this.view.parent === this.view) return null;
         return getComponentForView(this.view.parent);
     }
 
     /**
     * Hooks up a listener for the Page's loaded event. The listener is used to ensure
     * that the outer components' `init` methods are called before those of the inner components.
+    *
+    * A page is flagged as loaded before its child views are, so a loaded page doesn't mean that its `loaded` event
+    * has been emitted. If the view was added to a page that had already loaded (e.g. a ListView item or a view added
+    * in code), the event won't be emitted again, so `_onPageLoaded()` is called once the current load has finished
+    * instead, unless the page's `loaded` event has been emitted by then.
     * @private
     */
     _hookUpPageLoadedEvent() {
 
-        if ((this.view.page === this.view) && this.view.isLoaded) {
-            this._callPublicInitHook();
+        let page = this.view.page;
+
+        if ((page === this.view) && this.view.isLoaded) {
+            this._onPageLoaded();
+        }
+
+        // Remove the listener added by a previous initialization hook, so that `init` is only called once per load.
+        this._removePageLoadedListener();
+
+        let pageLoadedListener = { page, isHandled: false };
+
+        pageLoadedListener.listener = () => {
+            pageLoadedListener.isHandled = true;
+            this._onPageLoaded();
+        };
+        page.on('loaded', pageLoadedListener.listener);
+        this._pageLoadedListener = pageLoadedListener;
+
+        if ((page !== this.view) && page.isLoaded) {
+
+            Promise.resolve().then(() => {
+
+                if (this._pageLoadedListener === pageLoadedListener && !pageLoadedListener.isHandled && !this.isDisposed && page.isLoaded) {
+                    pageLoadedListener.isHandled = true;
+                    this._onPageLoaded();
+                }
+            });
         }
+    }
 
-        this.view.page.on('loaded', this._onPageLoaded.bind(this));
+    /**
+    * @private
+    */
+    _removePageLoadedListener() {
+
+        if (this._pageLoadedListener) {
+            let { page, listener } = this._pageLoadedListener;
+            page.off('loaded', listener);
+            this._pageLoadedListener = null;
+        }
     }
 
     /**
@@ -398,31 +1693,138 @@ class Component {
         // `onLoaded`, `onShownModally`, etc. This method will be called again before `init()` is invoked in order to capture the dynamic attributes.
         this._assignXmlAttributesToBindingContext();
         this._setNavigationContextProperties(this.view.navigationContext);
+        this._setNavigationContextProperties(this.modalContext);
+        trackResultRequest(this);
         this._hookUpPageLoadedEvent();
     }
 
     /**
-    * Invokes the public `init` hook and sets properties which help ensure that the `init` is called for outer components
-    * before it's called for nested components.
+    * Applies the XML attributes, props, persisted state and computed properties, starts validating and loading the
+    * resources, and invokes the public `init` hook. This is called by the init scheduler once the parent component's
+    * `init` has completed. The history starts recording once `init` and the resources have settled, so that the
+    * initial values aren't undoable.
+    *
+    * @returns {} The value returned by `init` or, if the component has resources, a Promise which settles once they've
+    *             loaded and the value returned by `init` has settled.
     * @private
     */
     _callPublicInitHook() {
 
+        let resourcesLoaded = this._setUpBindingContext(),
+            returnValue,
+            settled;
+
+        try {
+            returnValue = this.init();
+            // Nested components wait for the resources as well as for `init`.
+            settled = resourcesLoaded ? Promise.all([ resourcesLoaded, returnValue ]).then(() => returnValue) : returnValue;
+        } finally {
+            whenSettled(settled, () => startRecording(this));
+        }
+        return settled;
+    }
+
+    /**
+    * Applies the XML attributes, props, persisted state and computed properties to the binding context, sets up the
+    * history and starts validating and loading the resources.
+    *
+    * @returns {Promise|undefined} The Promise returned by `loadResources()`.
+    * @private
+    */
+    _setUpBindingContext() {
+
         // Assign the XML attributes again now that dynamic parameters from the parent component are available.
-        this._assignXmlAttributesToBindingContext();
-        // `_wasCalled` is used by child components to determine when their hooks can be called.
-        this.init._wasCalled = true;
-        // `_returnValue` is used by child components so that if this component's hook returns a Promise,
-        // the child's hook isn't invoked until that Promise is resolved or rejected.
-        this.init._returnValue = this.init();
-        return this.init._returnValue;
+        let attributeNames = this._assignXmlAttributesToBindingContext();
+        this._applyProps(attributeNames);
+        setUpPersistence(this);
+        setUpHistory(this);
+        this._setUpMappedState();
+        this._setUpComputedProperties();
+        setUpValidation(this);
+        return loadResources(this);
+    }
+
+    /**
+    * Invoked by the ComponentManager when the binding context of the component's root view is replaced while the
+    * component is initialized, i.e. when the view is recycled for another item (see `onItemChanged()`).
+    *
+    * @param   {Observable|Object} newItem
+    * @param   {Observable|Object} oldItem
+    * @returns {boolean}           Whether the instance was kept for the new item. If not, the ComponentManager replaces it.
+    * @private
+    */
+    _handleItemChange(newItem, oldItem) {
+
+        if (this.onItemChanged === Component.prototype.onItemChanged) {
+            return false;
+        }
+        recordLifecycleEvent(this, 'itemChanged');
+
+        let returnValue;
+
+        try {
+            this._runDisposers();
+            this._setUpBindingContext();
+
+            returnValue = this.onItemChanged(newItem, oldItem);
+
+            if (returnValue instanceof Promise) {
+                returnValue.catch(error => this._handleError(error, 'onItemChanged'));
+            }
+        } catch (error) {
+            this._handleError(error, 'onItemChanged');
+        } finally {
+            // Like after `init`, the history of the new item only starts once `onItemChanged` has settled.
+            whenSettled(returnValue, () => startRecording(this));
+        }
+        return true;
+    }
+
+    /**
+    * Called by the init scheduler once `init` has completed successfully.
+    * @private
+    */
+    _onInitialized() {
+
+        if (this.constructor.scope !== 'app') {
+            return;
+        }
+        recordLifecycleEvent(this, 'shown');
+
+        try {
+            this.onPageShown();
+        } catch (error) {
+            this._handleError(error, 'onPageShown');
+        }
+    }
+
+    /**
+    * Passes an error thrown by one of the component's lifecycle hooks to the closest error boundary (see `onInitError`)
+    * or, if no ancestor handles it, to `onError`.
+    *
+    * @param {}       error
+    * @param {string} phase
+    * @private
+    */
+    _handleError(error, phase) {
+
+        let lifecycleError = new ComponentLifecycleError({ error, component: this, phase });
+
+        if (phase === 'init') {
+            for (let ancestor = this.parent; ancestor; ancestor = ancestor.parent) {
+                if (ancestor.onInitError(lifecycleError, this) === true) {
+                    return;
+                }
+            }
+        }
+        this.constructor.onError(lifecycleError, this, phase);
     }
 
     /**
-    * Callback invoked on the Page's loaded event, which does most of the work to ensure that outer
-    * components' `init` methods are called before `init` is called for their nested components (and
-    * the nested components of those components, and so on). This is *opposite* of the order in which
-    * components' `onLoaded` events are naturally called (i.e. inside-out).
+    * Callback invoked on the Page's loaded event, which adds this component to the component tree and schedules
+    * its `init` hook. The scheduler ensures that outer components' `init` methods are called before `init` is
+    * called for their nested components (and the nested components of those components, and so on). This is
+    * *opposite* of the order in which components' `onLoaded` events are naturally called (i.e. inside-out).
     *
     * One strange quirk of Page components is that listeners for the Page's onLoaded event are called
     * *before* the component's own `onLoaded` hook is called. Due to this, the outside-in `init` flow
@@ -435,42 +1837,170 @@ class Component {
     */
     _onPageLoaded() {
 
-        let parentComponent = this._getParentComponent();
+        this._attachToParent(this._getParentComponent());
+        return scheduleInit(this);
+    }
+
+    /**
+    * @param {Component|null} parent
+    * @private
+    */
+    _attachToParent(parent) {
+
+        if (parent === this._parent) {
+            return;
+        }
+        this._detachFromParent();
+
+        if (parent) {
+            this._parent = parent;
+            parent._children.push(this);
+        }
+    }
+
+    /**
+    * @private
+    */
+    _detachFromParent() {
+
+        if (this._parent) {
+            this._parent._children = this._parent._children.filter(child => child !== this);
+            this._parent = null;
+        }
+    }
+
+    /**
+    * Sets the store state declared by `static mapState` on the binding context and keeps it in sync.
+    * @private
+    */
+    _setUpMappedState() {
+
+        let mapState = this.constructor.mapState;
+
+        if (!mapState) {
+            return;
+        }
+        let store = this.inject('store');
+
+        for (let name of Object.keys(mapState)) {
+
+            let keyPath = mapState[name];
+
+            this.set(name, store.get(keyPath));
+            this.addDisposer(store.subscribe(keyPath, value => this.set(name, value)));
+        }
+    }
+
+    /**
+    * Sets the computed properties declared by `static computed` on the binding context and keeps them up to date
+    * as their dependencies change.
+    *
+    * @private
+    */
+    _setUpComputedProperties() {
 
-        if (!parentComponent) {
-            // This component is the outermost component, so go ahead and call the hook.
-            return this._callPublicInitHook();
+        let computed = this.constructor.computed;
+
+        if (!computed) {
+            return;
         }
 
-        if (parentComponent.init._wasCalled) {
-            // The parent component's page loaded hook has already been called, so call this
-            // component's hook, waiting for the parent's component's promise to resolve if needed.
-            if (parentComponent.init._returnValue instanceof Promise) {
-                return parentComponent.init._returnValue
-                .catch(() => {})
-                .then(() => this._callPublicInitHook());
+        for (let name of Object.keys(computed)) {
+
+            let { deps = [], get } = computed[name];
+
+            if (typeof get !== 'function') {
+                throw new Error(`${this.constructor.name}: computed property '${name}' must have a 'get' function.`);
+            }
+            let update = () => this.set(name, get.call(this));
+
+            for (let dep of deps) {
+                this.addDisposer(observeKeyPath(this.bindingContext, dep, update));
             }
-            return this._callPublicInitHook();
+            update();
         }
+    }
+
+    /**
+    * Runs the disposers registered via `addDisposer()` (which include those for watchers, computed properties,
+    * listeners and timers) in the reverse order in which they were added. Every disposer is run even if one
+    * throws an error, in which case the first error is thrown afterwards.
+    *
+    * @private
+    */
+    _runDisposers() {
 
-        // The parent component's hook hasn't been called yet, so let's monkey patch it so that
-        // this component's hook is called after it, waiting for the parent's promise to resolve if needed.
-        let originalParentInitFunction = parentComponent.init.bind(parentComponent);
+        let disposers = this._disposers.reverse(),
+            firstError;
 
-        parentComponent.init = (...args) => {
+        this._disposers = [];
+        this._timerDisposers.clear();
 
-            let returnValue;
+        for (let disposer of disposers) {
             try {
-                returnValue = originalParentInitFunction(...args);
-            } catch (error) {}
+                disposer();
+            } catch (error) {
+                firstError = firstError || error;
+            }
+        }
 
-            if (returnValue instanceof Promise) {
-                return returnValue
-                .catch(() => {})
-                .then(() => this._callPublicInitHook());
+        if (firstError) {
+            throw firstError;
+        }
+    }
+
+    /**
+    * Releases everything the component has hooked up to its view and binding context.
+    * @private
+    */
+    _release() {
+        this._detachFromParent();
+        this._removePageLoadedListener();
+        this._runDisposers();
+    }
+
+    /**
+    * Invoked by the ComponentManager when it releases an instance that isn't `'app'` scoped upon the `unloaded` event of its last view.
+    * The component is released and marked as disposed even if one of its disposal hooks throws an error.
+    *
+    * @private
+    */
+    _dispose() {
+
+        if (this.isDisposed) {
+            return;
+        }
+        // Nested components are normally disposed first anyway, since NativeScript unloads nested views before
+        // their parents, but any that are still around are disposed now so that parents can rely on it.
+        for (let child of this._children.slice()) {
+            if (child.constructor.scope !== 'app') {
+                child._dispose();
             }
-            return this._callPublicInitHook();
-        };
+        }
+
+        try {
+            this.willDispose();
+        } finally {
+            this._release();
+            try {
+                this.dispose();
+            } finally {
+                this._isDisposed = true;
+                recordLifecycleEvent(this, 'disposed');
+            }
+        }
+    }
+
+    /**
+    * Invoked by the ComponentManager upon the `unloaded` event of the last of an `'app'` scoped instance's views.
+    * @private
+    */
+    _hide() {
+        // The singleton will be initialized again for the next view that's loaded.
+        this._initState = 'pending';
+        recordLifecycleEvent(this, 'hidden');
+        this._release();
+        this.onPageHidden();
     }
 
     /**
@@ -483,28 +2013,156 @@ class Component {
         let parentBindingContext = parent ? parent.bindingContext : undefined;
 
         if (this.view.bindingContext === parentBindingContext) {
-            this.view.bindingContext = new Observable();
+            this.bindingContext = new Observable();
         }
     }
 
     _setNavigationContextProperties(context) {
 
         if (typeof context === 'object') {
+            this._validateBindingContext();
+            // The keys are set literally, since they can come from a URL's query (e.g. `tags[]`).
             for (let key in context) {
-                this.set(key, context[key]);
+                setChildValue(this.bindingContext, key, context[key]);
             }
         }
     }
 
     _validateBindingContext() {
 
-        if (this.bindingContext === undefined) {
+        this._validateNotDisposed();
+
+        if (!this._view || this.bindingContext === undefined) {
             let message = `Component ${this.constructor.name} has not been initialized via an initialization hook. ` +
                           `Please ensure that one of the component's initialization hooks (e.g. onLoaded) is hooked up in its XML template ` +
                           `and that if it overrides the base class's implementation of the hook, it still invokes base class's implementation.`;
-            throw new Error(message);
+            throw new ComponentMisuseError({ code: 'MISSING_INIT_HOOK', message });
+        }
+    }
+
+    _validateNotDisposed() {
+
+        if (this.isDisposed) {
+            throw new Error(`Component ${this.constructor.name} has been disposed, so its binding context and resources can no longer be used.`);
+        }
+    }
+
+    _addTimerDisposer(id, clearTimer) {
+        this._timerDisposers.set(id, this.addDisposer(clearTimer));
+    }
+
+    _removeTimerDisposer(id) {
+
+        let removeDisposer = this._timerDisposers.get(id);
+
+        if (removeDisposer) {
+            removeDisposer();
+            this._timerDisposers.delete(id);
         }
     }
+
+    _warn(message) {
+        warn(message);
+    }
 }
 
 export default Component;
+
+/**
+* Navigates back via the router when Android's back button is pressed, so that the navigation guards are consulted.
+* Without a page to go back to, the button closes the app as usual.
+*
+* @param {Object} args - The `activityBackPressed` event data.
+* @private
+*/
+function onAndroidBackPressed(args) {
+
+    let topmostFrame = frame.topmost();
+
+    if (!topmostFrame || !topmostFrame.canGoBack()) {
+        return;
+    }
+    args.cancel = true;
+    router.goBack().catch(error => logError(`Navigating back failed: ${error.message}`, error));
+}
+
+/**
+* Invokes the callback once the value has settled, if it's a Promise, or else right away.
+* @private
+*/
+function whenSettled(value, callback) {
+
+    if (value instanceof Promise) {
+        value.then(callback, callback);
+    } else {
+        callback();
+    }
+}
+
+/**
+* @returns {Object} The `Component.dumpTree()` node for the component and the components nested within it.
+* @private
+*/
+function describeComponentTree(component) {
+
+    let { bindingContext } = component.view || {};
+
+    return {
+        name: component.constructor.name,
+        id: component._id,
+        scope: component.constructor.scope,
+        initState: component._initState,
+        viewCount: getViewCount(component),
+        bindingContextKeys: bindingContext ? getDataKeys(bindingContext) : [],
+        children: component.children.map(describeComponentTree)
+    };
+}
+
+/**
+* @param   {ui/View} view
+* @returns {Promise} A promise that's resolved once the view is unloaded (right away if it isn't loaded).
+* @private
+*/
+function waitForUnload(view) {
+
+    if (!view || !view.isLoaded) {
+        return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+
+        let onUnloaded = () => {
+            view.off(View.unloadedEvent, onUnloaded);
+            resolve();
+        };
+        view.on(View.unloadedEvent, onUnloaded);
+    });
+}
+
+/**
+* Returns the names of the properties whose values aren't `undefined` on a new instance of the view class. They're
+* found by instantiating the class once and are cached for the class.
+*
+* @param   {Class}       viewClass
+* @returns {Set<string>}
+* @private
+*/
+function getDefaultPropertyNames(viewClass) {
+
+    let propertyNames = defaultPropertyNamesByViewClass.get(viewClass);
+
+    if (!propertyNames) {
+
+        let exampleInstance = new viewClass();
+
+        propertyNames = new Set(getAllPropertyNames(exampleInstance).filter(key => {
+            try {
+                return exampleInstance[key] !== undefined;
+            } catch (error) {
+                return true;
+            }
+        }));
+        defaultPropertyNamesByViewClass.set(viewClass, propertyNames);
+    }
+    return propertyNames;
+}
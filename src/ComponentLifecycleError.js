@@ -0,0 +1,44 @@
+/**
+* The error passed to `Component.onError` and `Component#onInitError` when one of a component's lifecycle
+* hooks throws an error or returns a rejected Promise. Its message names the component class and the phase.
+*
+* @example
+* import ComponentLifecycleError from 'nativescript-component/dist/ComponentLifecycleError';
+*
+* Component.onError = error => {
+*     if (error instanceof ComponentLifecycleError && error.phase === 'init') {
+*         crashReporter.report(error.originalError);
+*     }
+* };
+*/
+class ComponentLifecycleError extends Error {
+
+    /**
+    * @param {Object}    options
+    * @param {}          options.error     - The error that was thrown or the reason the Promise was rejected.
+    * @param {Component} options.component
+    * @param {string}    options.phase     - The lifecycle phase (e.g. `'init'` or `'dispose'`).
+    */
+    constructor({ error, component, phase }) {
+
+        let componentName = component.constructor.name,
+            reason = (error && error.message) || String(error),
+            message = `${componentName} failed during '${phase}': ${reason}`;
+
+        super(message);
+        // Babel doesn't support extending built-in classes like Error, so the prototype is set here to make `instanceof` work.
+        Object.setPrototypeOf(this, ComponentLifecycleError.prototype);
+        this.name = 'ComponentLifecycleError';
+        this.message = message;
+        this.componentName = componentName;
+        this.component = component;
+        this.phase = phase;
+        this.originalError = error;
+
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, ComponentLifecycleError);
+        }
+    }
+}
+
+export default ComponentLifecycleError;
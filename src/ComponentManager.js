@@ -1,6 +1,13 @@
 import { validate } from 'parameter-validator';
+import { Observable } from 'data/observable';
 import { Page } from 'ui/page';
-import { getComponentForView, getBindingContextProperty } from './component-utils';
+import { getAllPropertyNames, getComponentForView } from './component-utils';
+import { deleteViewComponent, getViewComponent, recordLifecycleEvent, registerManager, setViewComponent } from './component-registry';
+import ComponentMisuseError from './ComponentMisuseError';
+import { reportMisuse } from './diagnostics';
+
+// The public method names of each component class, which are found by instantiating the class.
+const publicMethodNamesByClass = new WeakMap();
 
 /**
 * The `Component` class defines the behavior for a single component instance, however the
@@ -23,8 +30,12 @@ class ComponentManager {
     constructor(options) {
 
         validate(options, [ 'componentClass' ], this);
-        this._instances = []; // For keeping track of the instances of the component that are currently loaded.
+        validateScope(this.componentClass);
+        this._instances = new Set(); // For keeping track of the instances of the component that are currently loaded.
+        this._views = new Map(); // The loaded views of each instance.
+        this._instanceKeys = new Map(); // The `instanceKey` and (for 'page' scope) the page of each instance that can be shared by views.
         this._addProxyMethods();
+        registerManager(this);
     }
 
 
@@ -42,54 +53,191 @@ class ComponentManager {
     }
 
     /**
-    * Creates a new component instance, assigns it and its view a component ID, and
-    * attaches an event listener so that the reference to the component is removed
-    * upon the view's `unloaded` event.
+    * Creates a new component instance for the view, assigns it a component ID and attaches the view to it.
     *
     * @param   {ui/View} view
+    * @param   {Object}  [instanceKey] - The key under which the instance can be shared by other views (see `_findSharedInstance()`).
+    * @param   {Object}  initHook      - The initialization hook being invoked for the view (see `_attachView()`).
     * @returns {Component}
     * @private
     */
-    _addNewComponent(view) {
+    _addNewComponent(view, instanceKey, initHook) {
 
         let component = new this.componentClass();
-        let componentId = generateUuid();
-        component._id = componentId;
-        // Note: component.set() can't yet be used to set the _componentId on the component's binding context,
-        // because using component.set() before the component.onLoaded() prevents variables in XML attributes
-        // from being bound to the component correctly. So, the _componentId is set on the binding context
-        // *after* the initialization method is invoked.
+        component._id = generateUuid();
         component._view = view;
-        this._instances.push(component);
+        this._instances.add(component);
+        this._views.set(component, new Set());
+        recordLifecycleEvent(component, 'created');
 
-        if (this.componentClass.isSingleton) {
-            // Singleton components are kept alive throughout the life of the application, so we should attach the event
-            // listener that removes the component when its view is unloaded.
-            return component;
+        if (instanceKey) {
+            this._instanceKeys.set(component, instanceKey);
         }
+        this._attachView(view, component, initHook);
+        return component;
+    }
+
+    /**
+    * Returns the key under which the view's instance can be shared with other views, based on the component's
+    * `scope` and `instanceKey()`, or `null` if the view gets an instance of its own.
+    *
+    * @param   {ui/View}     view
+    * @returns {Object|null}
+    * @private
+    */
+    _getInstanceKey(view) {
 
-        // By default, components are not created as singletons, so each component instance is released when its
-        // view is unloaded.
-        view.on(Page.unloadedEvent, options => {
+        let { scope } = this.componentClass,
+            key = this.componentClass.instanceKey(view);
 
-            let view = options.object;
+        if (scope === 'view' && key === undefined) {
+            return null;
+        }
+        return { key, page: scope === 'page' ? view.page : null };
+    }
 
-            if (!view.bindingContext) {
-                this._error(`Cannot deallocate component for view, because view has no binding context.`);
-                return;
+    /**
+    * @param   {Object}         instanceKey
+    * @returns {Component|null} The instance that was created for views with the same key, if it's still around.
+    * @private
+    */
+    _findSharedInstance(instanceKey) {
+
+        for (let [ component, { key, page } ] of this._instanceKeys) {
+            if (!component.isDisposed && key === instanceKey.key && page === instanceKey.page) {
+                return component;
             }
+        }
+        return null;
+    }
+
+    /**
+    * Keeps track of the view as one of the instance's loaded views until the view's `unloaded` event, and maps the view
+    * to the instance (see `getComponentForView()`). Until then, the view's binding context being replaced is handled as
+    * the view being recycled for another item (see `_onItemChanged()`).
+    *
+    * @param {ui/View}   view
+    * @param {Component} component
+    * @param {Object}    initHook            - The initialization hook being invoked for the view.
+    * @param {string}    initHook.methodName
+    * @param {Array}     initHook.args
+    * @private
+    */
+    _attachView(view, component, initHook) {
+
+        let views = this._views.get(component);
 
-            let componentId = this._getComponentId(view.bindingContext);
-            let componentIndex = this._instances.findIndex(({ _id }) => _id === componentId);
+        if (views.has(view)) {
+            return;
+        }
+        views.add(view);
+        setViewComponent(view, component);
+        recordLifecycleEvent(component, 'viewAttached', { viewCount: views.size });
+
+        // The listeners are removed as well, because the view can be loaded again (e.g. a Page in the back stack that's
+        // navigated back to), at which point it's attached to an instance again.
+        let stopTracking = () => {
+            view.off(Page.unloadedEvent, onUnloaded);
+            view.off(Observable.propertyChangeEvent, onPropertyChange);
+        };
+
+        let onUnloaded = () => {
+            stopTracking();
+            this._detachView(view, component);
+        };
 
-            if (componentIndex === -1) {
-                this._error(`Cannot deallocate component for view, because no component matches the view's component ID of '${componentId}'`);
-                return;
+        let onPropertyChange = ({ propertyName, value, oldValue }) => {
+            if (propertyName === 'bindingContext' && value !== oldValue) {
+                this._onItemChanged(view, component, { newItem: value, oldItem: oldValue, initHook, stopTracking });
             }
+        };
 
-            this._instances.splice(componentIndex, 1);
-        });
-        return component;
+        view.on(Page.unloadedEvent, onUnloaded);
+        view.on(Observable.propertyChangeEvent, onPropertyChange);
+    }
+
+    /**
+    * Handles the binding context of one of an instance's views being replaced by someone other than the component,
+    * which is how NativeScript recycles the item views of a `ListView` or `Repeater`. The instance is kept if it has been
+    * initialized and handles the new item via `onItemChanged()`. Otherwise (e.g. its `init()` or resources are still pending
+    * for the old item), the view is detached from it (so a `'view'` scoped instance is disposed rather than leaked), and the
+    * view's initialization hook is invoked again, creating a new instance for the new item.
+    *
+    * @param {ui/View}           view
+    * @param {Component}         component
+    * @param {Object}            options
+    * @param {Observable|Object} options.newItem
+    * @param {Observable|Object} options.oldItem
+    * @param {Object}            options.initHook     - See `_attachView()`.
+    * @param {Function}          options.stopTracking - Removes the view's listeners that were added by `_attachView()`.
+    * @private
+    */
+    _onItemChanged(view, component, options) {
+
+        let { newItem, oldItem, initHook, stopTracking } = options,
+            isInitialized = [ 'initialized', 'failed' ].includes(component._initState);
+
+        if (component._isAssigningBindingContext) {
+            // The component is assigning its own binding context (e.g. during initialization).
+            return;
+        }
+
+        if (isInitialized && this._views.get(component).size === 1 && component._handleItemChange(newItem, oldItem)) {
+            return;
+        }
+
+        stopTracking();
+        this._detachView(view, component);
+
+        this[initHook.methodName](...initHook.args);
+    }
+
+    /**
+    * Upon the `unloaded` event of one of an instance's views, the instance is released once none of its views are loaded:
+    * an 'app' scoped instance is hidden (see `Component#onPageHidden`) and kept for the next view, and any other instance is disposed.
+    *
+    * @param {ui/View}   view
+    * @param {Component} component
+    * @private
+    */
+    _detachView(view, component) {
+
+        let views = this._views.get(component);
+
+        if (!views || !views.has(view)) {
+            reportMisuse('UNKNOWN_COMPONENT_ID', `Cannot deallocate component for view, because no component matches the view's component ID of '${component._id}'`);
+            return;
+        }
+        views.delete(view);
+        deleteViewComponent(view);
+        recordLifecycleEvent(component, 'viewDetached', { viewCount: views.size });
+
+        if (views.size) {
+            // Other views still share the instance, so it's kept, and its `view` becomes one of those.
+            if (component._view === view) {
+                component._view = views.values().next().value;
+            }
+            return;
+        }
+
+        if (this.componentClass.scope === 'app') {
+            try {
+                component._hide();
+            } catch (error) {
+                component._handleError(error, 'onPageHidden');
+            }
+            return;
+        }
+
+        this._instances.delete(component);
+        this._views.delete(component);
+        this._instanceKeys.delete(component);
+
+        try {
+            component._dispose();
+        } catch (error) {
+            component._handleError(error, 'dispose');
+        }
     }
 
     _addProxyMethods() {
@@ -111,7 +259,7 @@ class ComponentManager {
     /**
     * Adds a method to this instance which does the following:
     *
-    * - Checks if the view already has an ID.
+    * - Checks if the view is already the root view of a live instance.
     *   - If so:
     *       - Looks up the component instance that matches that view
     *       - Proxy the function call to that instance
@@ -135,31 +283,37 @@ class ComponentManager {
 
             let [ options ] = args,
                 view = options.object,
-                newComponentAdded = false;
+                initHook = { methodName, args };
 
             let component = this._getComponentForRootView(view);
 
-            if (!component && this.componentClass.isSingleton && this._instances[0]) {
-                component = this._instances[0];
-            }
+            if (component) {
+                // e.g. an 'app' scoped instance whose view is loaded again.
+                this._attachView(view, component, initHook);
+            } else {
 
-            if (!component) {
-                component = this._addNewComponent(view);
-                newComponentAdded = true;
+                let instanceKey = this._getInstanceKey(view);
+                component = instanceKey && this._findSharedInstance(instanceKey);
+
+                if (component && this._views.get(component).size) {
+                    // The instance is already shown in another view that's loaded, so this view just shares its binding
+                    // context rather than initializing the instance again. It's shared before the view is attached, so
+                    // that it isn't mistaken for the view being recycled.
+                    view.bindingContext = component.bindingContext;
+                    this._attachView(view, component, initHook);
+                    return undefined;
+                }
+
+                if (component) {
+                    // The 'app' scoped instance is being shown in a new view.
+                    this._attachView(view, component, initHook);
+                } else {
+                    component = this._addNewComponent(view, instanceKey, initHook);
+                }
             }
 
             // Proxy the function call to the matching component instance.
-            let result = component[methodName](...args);
-
-            if (newComponentAdded) {
-                // The _componentId is set *after* the init hook is proxied, because calling
-                // component.set() before the initialization hook is invoked prevents variables
-                // passed as XML attributes from being bound correctly.
-                component.set('_componentId', component._id);
-                // Set `_component` on the binding context so that the view has a reference to the component.
-                component.set('_component', component);
-            }
-            return result;
+            return component[methodName](...args);
         };
     }
 
@@ -182,24 +336,23 @@ class ComponentManager {
 
             let [ options ] = args;
             let view = options.object;
-            let component;
+            let component = getComponentForView(view);
 
-            if (this.componentClass.isSingleton) {
+            if (!component && this.componentClass.scope === 'app') {
 
-                component = this._instances[0];
+                component = this._instances.values().next().value;
 
                 if (!component) {
                     let message = `Method '${methodName}' called for singleton component ${this.componentClass.name}, ` +
                                   `but the component has not been instantiated yet. Please ensure that one of the component's ` +
                                   `lifecycle hooks (e.g. onLoaded, onNavigatingTo) are hooked up in its template.`;
-                    this._error(message);
+                    reportMisuse('SINGLETON_NOT_INSTANTIATED', message);
                     return;
                 }
-            } else {
-                component = getComponentForView(view);
-                if (!component) {
-                    throw new Error(`Couldn't locate the component containing the ${view.typeName} view; the root view was reached without encountering a component.`);
-                }
+            }
+            if (!component) {
+                let message = `Couldn't locate the component containing the ${view.typeName} view; the root view was reached without encountering a component.`;
+                throw new ComponentMisuseError({ code: 'MISSING_INIT_HOOK', message });
             }
             // Proxy the function call to the matching component instance.
             return component[methodName](...args);
@@ -207,8 +360,7 @@ class ComponentManager {
     }
 
     /**
-    * Returns the component instance that matches the view's component ID or null
-    * if the view has no component ID.
+    * Returns the live instance of this component class whose root view the view is, or null if there's none.
     *
     * @param   {ui/View} view
     * @returns {Component|null}
@@ -216,59 +368,47 @@ class ComponentManager {
     */
     _getComponentForRootView(view) {
 
-        if (!view.bindingContext) {
-            return null;
-        }
-        let componentId = this._getComponentId(view.bindingContext);
-
-        if (!componentId) {
-            return null;
-        }
-        let component = this._instances.find(({ _id }) => _id === componentId);
-        return component || null;
-    }
-
-    _getComponentId(bindingContext) {
-        return getBindingContextProperty(bindingContext, '_componentId');
+        let component = getViewComponent(view);
+        return (component && this._views.has(component)) ? component : null;
     }
 
+    /**
+    * @returns {Array<string>} The names of the component class's public methods, which are cached for the class.
+    * @private
+    */
     _getPublicMethodNames() {
 
-        let instance = new this.componentClass();
-
-        let publicMethodNames = getAllPropertyNames(instance).filter(key => {
-
-            let value;
-            try {
-                value = instance[key];
-            } catch (error) {}
+        let { componentClass } = this,
+            publicMethodNames = publicMethodNamesByClass.get(componentClass);
 
-            return (typeof value === 'function') && (key[0] !== '_') && (key !== 'constructor');
-        });
+        if (!publicMethodNames) {
 
-        return publicMethodNames;
-    }
+            let instance = new componentClass();
 
-    _log(message) {
-        console.log(`nativescript-component: ${message}`);
-    }
+            publicMethodNames = getAllPropertyNames(instance).filter(key => {
 
-    _warn(message) {
-        this._log(`WARN: ${message}`);
-    }
+                let value;
+                try {
+                    value = instance[key];
+                } catch (error) {}
 
-    _error(message) {
-        this._log(`ERROR: ${message}`);
+                return (typeof value === 'function') && (key[0] !== '_') && (key !== 'constructor');
+            });
+            publicMethodNamesByClass.set(componentClass, publicMethodNames);
+        }
+        return publicMethodNames;
     }
 }
 
 export default ComponentManager;
 
-function getAllPropertyNames(object, propertyNames = []) {
+function validateScope(componentClass) {
+
+    let { scope } = componentClass;
 
-    propertyNames.push(...Object.getOwnPropertyNames(object));
-    let prototype = Object.getPrototypeOf(object);
-    return prototype === Object.prototype ? propertyNames : getAllPropertyNames(prototype, propertyNames);
+    if (![ 'view', 'page', 'app' ].includes(scope)) {
+        throw new Error(`${componentClass.name}.scope must be 'view', 'page' or 'app', but it's '${scope}'.`);
+    }
 }
 
 /**
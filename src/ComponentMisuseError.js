@@ -0,0 +1,46 @@
+/**
+* The error thrown when nativescript-component is used incorrectly (e.g. a component's template doesn't hook up
+* one of its initialization hooks). Its `code` identifies the kind of misuse and doesn't change between versions:
+*
+* - `'PAGE_HOOKED_WITH_ON_LOADED'` - A component whose root element is `Page` was hooked up via `onLoaded` rather than `onNavigatingTo`.
+* - `'MISSING_INIT_HOOK'` - A component was used without any of its initialization hooks having been invoked for its view.
+* - `'UNKNOWN_COMPONENT_ID'` - A view was unloaded, but the instance it belongs to isn't known (e.g. it was already released).
+* - `'SINGLETON_NOT_INSTANTIATED'` - A method of a singleton (i.e. `'app'` scoped) component was called before it was instantiated.
+*
+* Apart from `'MISSING_INIT_HOOK'`, which is always thrown, misuse is only logged as a warning unless strict mode is
+* enabled via `Component.configure({ strict: true })`.
+*
+* @example
+* import ComponentMisuseError from 'nativescript-component/dist/ComponentMisuseError';
+*
+* try {
+*     component.get('name');
+* } catch (error) {
+*     if (error instanceof ComponentMisuseError && error.code === 'MISSING_INIT_HOOK') {
+*         // ...
+*     }
+* }
+*/
+class ComponentMisuseError extends Error {
+
+    /**
+    * @param {Object} options
+    * @param {string} options.code
+    * @param {string} options.message
+    */
+    constructor({ code, message }) {
+
+        super(message);
+        // Babel doesn't support extending built-in classes like Error, so the prototype is set here to make `instanceof` work.
+        Object.setPrototypeOf(this, ComponentMisuseError.prototype);
+        this.name = 'ComponentMisuseError';
+        this.message = message;
+        this.code = code;
+
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, ComponentMisuseError);
+        }
+    }
+}
+
+export default ComponentMisuseError;
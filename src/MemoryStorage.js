@@ -0,0 +1,47 @@
+/**
+* A storage adapter that keeps persisted component state (see `Component.persist`) in memory, e.g. for tests.
+*
+* @example
+* import MemoryStorage from 'nativescript-component/dist/MemoryStorage';
+*
+* let storage = new MemoryStorage();
+* Component.configure({ storage });
+*/
+class MemoryStorage {
+
+    constructor() {
+        this._items = new Map();
+    }
+
+    /**
+    * @param   {string} key
+    * @returns {string|undefined}
+    */
+    getItem(key) {
+        return this._items.get(key);
+    }
+
+    /**
+    * @param {string} key
+    * @param {string} value
+    */
+    setItem(key, value) {
+        this._items.set(key, String(value));
+    }
+
+    /**
+    * @param {string} key
+    */
+    removeItem(key) {
+        this._items.delete(key);
+    }
+
+    /**
+    * Removes every item.
+    */
+    clear() {
+        this._items.clear();
+    }
+}
+
+export default MemoryStorage;
@@ -0,0 +1,498 @@
+import frame from 'ui/frame';
+import { getComponentForView } from './component-utils';
+
+// The most redirects global guards can cause for a single navigation, so that guards that redirect to each other don't loop forever.
+const maxRedirects = 10;
+
+/**
+* Maps URL-like routes (e.g. `user/:id`) to components so that pages can be navigated to by URL, and
+* builds URLs from route names for deep links.
+*
+* `Component.router` is the router used by `Component#navigate` to resolve `{ component: 'name' }` entries,
+* so configure it (or assign your own) to change where components are located.
+*
+* @example
+* let router = Component.router;
+*
+* router.addRoutes({
+*     'users': 'user-list',
+*     'user/:id': { component: 'user-details', name: 'user' }
+* });
+*
+* router.navigate('user/42', { query: { tab: 'posts' } });
+* // Navigates to components/user-details/user-details with the context { id: '42', tab: 'posts' }.
+*
+* router.url('user', { id: 42 }, { tab: 'posts' });
+* // 'user/42?tab=posts'
+*
+* Navigation through the router (including `Component#navigate` and `Component#goBack`) is guarded: it only happens
+* once the components on the current page allow leaving it (`canLeave()`), every global guard added via `addGuard()`
+* allows it and the target component allows entering it (`static canEnter()`).
+*/
+class Router {
+
+    /**
+    * @param {Object}   [options]
+    * @param {string}   [options.componentsRoot='components'] - The directory, from the root of the app, that contains
+    *                                                          the component directories.
+    * @param {Function} [options.moduleNameFormat]            - Returns the module name for a component, given the component's
+    *                                                          name and the components root. By default, the module is expected
+    *                                                          to have the component's name and to be in a directory with the
+    *                                                          same name (e.g. `components/user-details/user-details`).
+    * @param {Function} [options.loadModule]                  - Returns the exports of the module with the given name, so that
+    *                                                          the target component's `canEnter()` can be consulted before
+    *                                                          navigating to it. Defaults to NativeScript's `global.loadModule()`
+    *                                                          (which also finds the modules bundled by webpack) or, if it
+    *                                                          doesn't exist, `require()`. If the module can't be loaded, the
+    *                                                          navigation is rejected.
+    */
+    constructor(options = {}) {
+
+        this._routes = [];
+        this._guards = [];
+        this.configure(Object.assign({ componentsRoot: 'components', moduleNameFormat: defaultModuleNameFormat, loadModule: defaultLoadModule }, options));
+    }
+
+    /**
+    * Changes the router's options.
+    *
+    * @param {Object}   options
+    * @param {string}   [options.componentsRoot]
+    * @param {Function} [options.moduleNameFormat]
+    * @param {Function} [options.loadModule]
+    */
+    configure(options) {
+
+        let { componentsRoot, moduleNameFormat, loadModule } = options;
+
+        if (componentsRoot !== undefined) {
+            this._componentsRoot = componentsRoot.replace(/\/+$/, '');
+        }
+        if (moduleNameFormat !== undefined) {
+            this._moduleNameFormat = moduleNameFormat;
+        }
+        if (loadModule !== undefined) {
+            this._loadModule = loadModule;
+        }
+    }
+
+    /**
+    * Returns the module name of the component with the given name.
+    *
+    * @param   {string} componentName
+    * @returns {string}
+    */
+    getModuleName(componentName) {
+        return this._moduleNameFormat(componentName, this._componentsRoot);
+    }
+
+    /**
+    * Registers a route.
+    *
+    * @param {string} pattern        - The route's URL pattern. Segments starting with `:` are parameters (e.g. `user/:id`).
+    * @param {string} component      - The name of the component to navigate to.
+    * @param {Object} [options]
+    * @param {string} [options.name] - The name used to build URLs for the route via `url()`. Defaults to the component name.
+    */
+    addRoute(pattern, component, options = {}) {
+
+        let segments = splitPath(pattern),
+            name = options.name || component;
+
+        if (this._routes.some(route => route.name === name)) {
+            throw new Error(`A route named '${name}' has already been registered.`);
+        }
+        this._routes.push({ pattern, segments, component, name });
+    }
+
+    /**
+    * Registers multiple routes.
+    *
+    * @param {Object} routes - Each key is a URL pattern, and each value is either a component name or
+    *                          an object with `component` and (optionally) `name` properties.
+    */
+    addRoutes(routes) {
+
+        for (let pattern of Object.keys(routes)) {
+
+            let route = routes[pattern];
+
+            if (typeof route === 'string') {
+                route = { component: route };
+            }
+            this.addRoute(pattern, route.component, { name: route.name });
+        }
+    }
+
+    /**
+    * Finds the route that matches a URL.
+    *
+    * @param   {string}      url - e.g. `user/42?tab=posts`
+    * @returns {Object|null} The route's `name`, `component` and `moduleName`, along with the `params` and `query`
+    *                        parsed from the URL, or `null` if no route matches.
+    */
+    resolve(url) {
+
+        let [ path, queryString ] = splitQueryString(url),
+            segments = splitPath(path);
+
+        for (let route of this._routes) {
+
+            let params = matchSegments(route.segments, segments);
+
+            if (params) {
+                let { name, component } = route;
+                return { name, component, moduleName: this.getModuleName(component), params, query: parseQueryString(queryString) };
+            }
+        }
+        return null;
+    }
+
+    /**
+    * Builds the URL for a named route.
+    *
+    * @param   {string} routeName
+    * @param   {Object} [params] - Values for the route's parameters.
+    * @param   {Object} [query]  - Values to add as the URL's query string.
+    * @returns {string}
+    * @throws  {Error} If there's no route with the name or a parameter is missing.
+    */
+    url(routeName, params = {}, query = {}) {
+
+        let route = this._routes.find(({ name }) => name === routeName);
+
+        if (!route) {
+            throw new Error(`No route named '${routeName}' has been registered.`);
+        }
+
+        let path = route.segments.map(segment => {
+
+            if (segment[0] !== ':') {
+                return segment;
+            }
+            let paramName = segment.slice(1),
+                value = params[paramName];
+
+            if (value === undefined || value === null) {
+                throw new Error(`Can't build a URL for the '${routeName}' route, because the '${paramName}' parameter is missing.`);
+            }
+            return encodeURIComponent(value);
+        }).join('/');
+
+        let queryString = buildQueryString(query);
+        return queryString ? `${path}?${queryString}` : path;
+    }
+
+    /**
+    * Adds a global guard, which is consulted before every navigation through the router. A guard is invoked with
+    * the target NavigationEntry (`{ back: true }` for back navigation) and the component of the current page (or `null`),
+    * and it can return (or return a Promise for):
+    *
+    * - `true` or `undefined` - Allow the navigation.
+    * - `false`               - Cancel the navigation.
+    * - A URL or NavigationEntry - Navigate there instead (e.g. to a login page).
+    *
+    * Guards are consulted in the order they were added.
+    *
+    * @example
+    * router.addGuard(to => (to.moduleName === router.getModuleName('account') && !session.user) ? 'login' : true);
+    *
+    * @param   {Function} guard
+    * @returns {Function} A function which removes the guard.
+    */
+    addGuard(guard) {
+
+        this._guards.push(guard);
+
+        return () => {
+            let index = this._guards.indexOf(guard);
+
+            if (index !== -1) {
+                this._guards.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+    * Navigates to the component for a URL. The route parameters and query values are passed as the navigation
+    * context, so they're set on the target component's binding context (e.g. `this.get('id')`).
+    *
+    * @param   {string}  url
+    * @param   {Object}  [options]         - Any other [NavigationEntry](http://docs.nativescript.org/api-reference/interfaces/_ui_frame_.navigationentry.html)
+    *                                        options (e.g. `animated` or `clearHistory`) can be included as well.
+    * @param   {Object}  [options.query]   - Query values, in addition to any in the URL.
+    * @param   {Object}  [options.context] - Additional navigation context properties.
+    * @returns {Promise<boolean>} A promise for whether the navigation happened (i.e. no guard cancelled it). It's rejected
+    *                             if no route matches the URL or a guard throws an error.
+    */
+    navigate(url, options = {}) {
+
+        let entry;
+
+        try {
+            entry = this.createNavigationEntry(url, options);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        return this._navigate(entry, 0).then(Boolean);
+    }
+
+    /**
+    * Navigates to a NavigationEntry after consulting the guards. Like `Component#navigate`, the entry can specify
+    * a `component` name instead of a `moduleName`.
+    *
+    * @param   {NavigationEntry}  entry
+    * @returns {Promise<boolean>} A promise for whether the navigation happened.
+    */
+    navigateToEntry(entry) {
+        return this._navigateToEntry(entry).then(Boolean);
+    }
+
+    /**
+    * Like `navigateToEntry()`, but resolves with the entry that was navigated to, which isn't the given entry if a
+    * global guard redirected the navigation.
+    *
+    * @param   {NavigationEntry}              entry
+    * @returns {Promise<NavigationEntry|null>} A promise for the entry navigated to, or `null` if the navigation was cancelled.
+    * @private
+    */
+    _navigateToEntry(entry) {
+        return this._navigate(this._normalizeEntry(entry), 0);
+    }
+
+    /**
+    * Navigates back to the previous page after consulting the guards.
+    *
+    * @returns {Promise<boolean>} A promise for whether the navigation happened.
+    */
+    goBack() {
+        return this._navigate({ back: true }, 0).then(Boolean);
+    }
+
+    /**
+    * Creates the NavigationEntry that `navigate()` navigates with.
+    *
+    * @param   {string} url
+    * @param   {Object} [options]
+    * @returns {NavigationEntry}
+    * @throws  {Error}  If no route matches the URL.
+    */
+    createNavigationEntry(url, options = {}) {
+
+        let match = this.resolve(url);
+
+        if (!match) {
+            throw new Error(`No route matches the URL '${url}'.`);
+        }
+
+        let { query, context } = options,
+            entry = Object.assign({}, options);
+
+        delete entry.query;
+        entry.moduleName = match.moduleName;
+        entry.context = Object.assign({}, context, match.query, query, match.params);
+        return entry;
+    }
+
+    /**
+    * @param   {NavigationEntry} to
+    * @param   {number}          redirectCount - The number of times global guards have redirected the navigation so far.
+    * @returns {Promise<NavigationEntry|null>} A promise for the entry navigated to, or `null` if the navigation was cancelled.
+    * @private
+    */
+    _navigate(to, redirectCount) {
+
+        let from = getCurrentPageComponent();
+
+        // The current page only needs to agree to being left once, even if the navigation is redirected.
+        return Promise.resolve(redirectCount ? true : canLeave(from))
+        .then(allowed => allowed && this._runGuards(to, from))
+        .then(result => {
+
+            if (result === false) {
+                return null;
+            }
+
+            if (result !== true) {
+
+                if (redirectCount >= maxRedirects) {
+                    throw new Error(`Navigation was redirected more than ${maxRedirects} times. Do the router's guards redirect to each other?`);
+                }
+                return this._navigate(this._toEntry(result), redirectCount + 1);
+            }
+
+            return Promise.resolve(to.back ? true : this._canEnter(to))
+            .then(allowed => {
+
+                if (!allowed) {
+                    return null;
+                }
+                if (to.back) {
+                    frame.topmost().goBack();
+                } else {
+                    frame.topmost().navigate(to);
+                }
+                return to;
+            });
+        });
+    }
+
+    /**
+    * Consults the global guards in order.
+    *
+    * @returns {Promise<boolean|string|NavigationEntry>} `true` if they all allowed the navigation, `false` if one cancelled it
+    *                                                    or the target that one redirected to.
+    * @private
+    */
+    _runGuards(to, from) {
+
+        return this._guards.reduce((promise, guard) => promise.then(result => {
+
+            if (result !== true) {
+                return result;
+            }
+            return Promise.resolve(guard(to, from)).then(value => value === undefined ? true : value);
+
+        }), Promise.resolve(true));
+    }
+
+    /**
+    * @returns {Promise<boolean>|boolean} Whether the target component's `static canEnter()` allows entering it.
+    * @private
+    */
+    _canEnter(to) {
+
+        let moduleExports;
+
+        try {
+            moduleExports = this._loadModule(to.moduleName);
+        } catch (error) {
+            // Fail closed, since a component that can't be loaded can't be asked whether it may be entered.
+            throw new Error(`Couldn't load the module '${to.moduleName}' to check whether it can be entered: ${error.message.split('\n')[0]}`);
+        }
+
+        if (!moduleExports || typeof moduleExports.canEnter !== 'function') {
+            return true;
+        }
+        return Promise.resolve(moduleExports.canEnter(to.context)).then(allowed => allowed !== false);
+    }
+
+    /**
+    * Converts a guard's redirect target to a NavigationEntry.
+    *
+    * @private
+    */
+    _toEntry(target) {
+
+        if (typeof target === 'string') {
+            return this.resolve(target) ? this.createNavigationEntry(target) : { moduleName: target };
+        }
+        return this._normalizeEntry(target);
+    }
+
+    /**
+    * Returns a copy of the entry in which the `component` name, if any, is converted to a `moduleName`.
+    *
+    * @private
+    */
+    _normalizeEntry(entry) {
+
+        let normalized = Object.assign({}, entry);
+
+        if (typeof normalized.component === 'string') {
+            normalized.moduleName = this.getModuleName(normalized.component);
+        }
+        return normalized;
+    }
+}
+
+export default Router;
+
+function defaultModuleNameFormat(componentName, componentsRoot) {
+    return `${componentsRoot}/${componentName}/${componentName}`;
+}
+
+function defaultLoadModule(moduleName) {
+    return typeof global.loadModule === 'function' ? global.loadModule(moduleName) : require(moduleName);
+}
+
+function getCurrentPageComponent() {
+
+    let currentPage = frame.topmost().currentPage;
+    return currentPage ? getComponentForView(currentPage) : null;
+}
+
+/**
+* Consults `canLeave()` for the component and the components nested within it, in order from the outermost.
+*
+* @returns {Promise<boolean>}
+* @private
+*/
+function canLeave(component) {
+
+    if (!component || component.isDisposed) {
+        return Promise.resolve(true);
+    }
+
+    return Promise.resolve(component.canLeave())
+    .then(allowed => {
+
+        if (allowed === false) {
+            return false;
+        }
+        return component.children.reduce((promise, child) => promise.then(allowed => allowed && canLeave(child)), Promise.resolve(true));
+    });
+}
+
+function splitPath(path) {
+    return path.split('/').filter(segment => segment !== '');
+}
+
+function splitQueryString(url) {
+
+    let index = url.indexOf('?');
+    return index === -1 ? [ url, '' ] : [ url.slice(0, index), url.slice(index + 1) ];
+}
+
+/**
+* @returns {Object|null} The parameters, or `null` if the segments don't match.
+* @private
+*/
+function matchSegments(patternSegments, segments) {
+
+    if (patternSegments.length !== segments.length) {
+        return null;
+    }
+    let params = {};
+
+    for (let i = 0; i < segments.length; i++) {
+
+        let patternSegment = patternSegments[i];
+
+        if (patternSegment[0] === ':') {
+            params[patternSegment.slice(1)] = decodeURIComponent(segments[i]);
+        } else if (patternSegment !== segments[i]) {
+            return null;
+        }
+    }
+    return params;
+}
+
+function parseQueryString(queryString) {
+
+    let query = {};
+
+    for (let pair of queryString.split('&').filter(pair => pair)) {
+        let [ key, value = '' ] = pair.split('=');
+        query[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, ' '));
+    }
+    return query;
+}
+
+function buildQueryString(query) {
+
+    return Object.keys(query)
+    .filter(key => query[key] !== undefined && query[key] !== null)
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(query[key])}`)
+    .join('&');
+}
@@ -0,0 +1,116 @@
+import { getKeyPathValue, setKeyPathValue, toObservable } from './component-utils';
+import { observeKeyPath } from './key-path-observer';
+
+/**
+* A small application state store: an Observable state tree that's changed via named actions and whose
+* key paths can be subscribed to.
+*
+* To make a store available to components' `static mapState`, provide it under the `'store'` key, either for
+* the whole app via `Component.provide('store', store)` or for part of the component tree via `this.provide('store', store)`.
+*
+* @example
+* import Store from 'nativescript-component/dist/Store';
+*
+* let store = new Store({
+*     state: {
+*         session: { user: null }
+*     },
+*     actions: {
+*         logIn({ set }, credentials) {
+*             return api.logIn(credentials).then(user => set('session.user', user));
+*         }
+*     }
+* });
+*
+* Component.provide('store', store);
+* store.dispatch('logIn', { username, password });
+*/
+class Store {
+
+    /**
+    * @param {Object} [options]
+    * @param {Object} [options.state]   - The initial state. Plain objects within it are converted to Observables.
+    * @param {Object} [options.actions] - Functions keyed by action name. Each is invoked with a context object
+    *                                     (`{ state, get, set, dispatch }`) and the payload passed to `dispatch()`,
+    *                                     and it can return a Promise.
+    */
+    constructor(options = {}) {
+
+        let { state = {}, actions = {} } = options;
+
+        this._state = toObservable(state);
+        this._actions = Object.assign({}, actions);
+    }
+
+    /**
+    * The root of the state tree.
+    *
+    * @type {Observable}
+    */
+    get state() {
+        return this._state;
+    }
+
+    /**
+    * Gets the value at a key path (e.g. `session.user`) of the state tree.
+    *
+    * @param   {string} keyPath
+    * @returns {}
+    */
+    get(keyPath) {
+        return getKeyPathValue(this._state, keyPath);
+    }
+
+    /**
+    * Sets the value at a key path of the state tree, creating Observables for any missing objects along the path.
+    * Prefer changing the state via actions, so that changes are easy to find.
+    *
+    * @param {string} keyPath
+    * @param {}       value   - Plain objects are converted to Observables.
+    */
+    set(keyPath, value) {
+        setKeyPathValue(this._state, keyPath, toObservable(value));
+    }
+
+    /**
+    * Runs a named action.
+    *
+    * @param   {string}  actionName
+    * @param   {}        [payload]
+    * @returns {Promise} A promise for the value returned by the action, which is rejected if the action is unknown,
+    *                    throws an error or returns a rejected Promise.
+    */
+    dispatch(actionName, payload) {
+
+        let action = this._actions[actionName];
+
+        if (typeof action !== 'function') {
+            return Promise.reject(new Error(`The store has no action named '${actionName}'.`));
+        }
+
+        let context = {
+            state: this._state,
+            get: keyPath => this.get(keyPath),
+            set: (keyPath, value) => this.set(keyPath, value),
+            dispatch: (...args) => this.dispatch(...args)
+        };
+
+        return new Promise(resolve => resolve(action(context, payload)));
+    }
+
+    /**
+    * Invokes the handler with the new and old values whenever the value at the key path changes (including when
+    * an object along the path is replaced).
+    *
+    * @param   {string}   keyPath
+    * @param   {Function} handler
+    * @param   {Object}   [options]
+    * @param   {boolean}  [options.deep] - Also invoke the handler when a property nested within the value changes.
+    * @returns {Function} A function which unsubscribes the handler.
+    */
+    subscribe(keyPath, handler, options = {}) {
+        return observeKeyPath(this._state, keyPath, handler, { deep: !!options.deep });
+    }
+}
+
+export default Store;
@@ -0,0 +1,274 @@
+import { getKeyPathValue, toObservable, toPlainValue } from './component-utils';
+import { observeKeyPath } from './key-path-observer';
+
+/**
+* Records the changes made to the binding context properties declared by a component's `static history`, so that
+* they can be undone and redone (see `Component#undo()`).
+*
+* Each history step is an array of patches, and each patch has the key path of a changed value along with the value
+* before and after the change (as plain values, see `toPlainValue()`). Changes are diffed down to the values that
+* changed, so undoing a change to `draft.body` sets `draft.body` rather than replacing the `draft` Observable.
+*
+* @private
+*/
+
+// The history of each component whose class declares `static history`.
+const histories = new WeakMap();
+
+/**
+* Starts tracking the component's history keys, until the component is released. Any previous history is discarded.
+* Changes aren't recorded as history steps until `startRecording()` is called, so that the component's initial values
+* aren't undoable.
+*
+* @param {Component} component
+* @private
+*/
+export function setUpHistory(component) {
+
+    let options = getHistoryOptions(component.constructor);
+
+    if (!options) {
+        return;
+    }
+
+    let history = {
+        limit: options.limit,
+        snapshots: new Map(),
+        undoStack: [],
+        redoStack: [],
+        pendingPatches: null,
+        transactionDepth: 0,
+        isApplying: false,
+        isRecording: false
+    };
+
+    histories.set(component, history);
+
+    for (let key of options.keys) {
+
+        history.snapshots.set(key, toPlainValue(component.get(key)));
+
+        let onChange = () => recordChange(component, history, key);
+        component.addDisposer(observeKeyPath(component.bindingContext, key, onChange, { deep: true }));
+    }
+    updateFlags(component, history);
+}
+
+/**
+* Starts recording the changes to the component's history keys as history steps.
+*
+* @param {Component} component
+* @private
+*/
+export function startRecording(component) {
+
+    let history = histories.get(component);
+
+    if (history) {
+        history.isRecording = true;
+    }
+}
+
+/**
+* Reverts the most recent history step.
+*
+* @param   {Component} component
+* @returns {boolean}   Whether there was a step to undo.
+* @private
+*/
+export function undo(component) {
+
+    let history = getHistory(component, 'undo');
+
+    if (!history.undoStack.length) {
+        return false;
+    }
+
+    let step = history.undoStack.pop();
+    applyPatches(component, history, step.slice().reverse().map(({ path, before }) => ({ path, value: before })));
+    history.redoStack.push(step);
+    updateFlags(component, history);
+    return true;
+}
+
+/**
+* Reapplies the most recently undone history step.
+*
+* @param   {Component} component
+* @returns {boolean}   Whether there was a step to redo.
+* @private
+*/
+export function redo(component) {
+
+    let history = getHistory(component, 'redo');
+
+    if (!history.redoStack.length) {
+        return false;
+    }
+
+    let step = history.redoStack.pop();
+    applyPatches(component, history, step.map(({ path, after }) => ({ path, value: after })));
+    history.undoStack.push(step);
+    updateFlags(component, history);
+    return true;
+}
+
+/**
+* Invokes the function, recording the changes it makes as a single history step.
+*
+* @param   {Component} component
+* @param   {Function}  fn
+* @returns {}          The value returned by the function.
+* @private
+*/
+export function transaction(component, fn) {
+
+    let history = getHistory(component, 'transaction');
+
+    if (history.transactionDepth === 0) {
+        history.pendingPatches = [];
+    }
+    history.transactionDepth++;
+
+    try {
+        return fn.call(component);
+    } finally {
+        history.transactionDepth--;
+
+        if (history.transactionDepth === 0) {
+
+            let patches = history.pendingPatches;
+            history.pendingPatches = null;
+
+            if (patches.length) {
+                pushStep(component, history, patches);
+            }
+        }
+    }
+}
+
+/**
+* Normalizes the component class's `static history` declaration.
+*
+* @returns {Object|null} The `keys` and `limit` options, or `null` if no history is recorded.
+* @private
+*/
+function getHistoryOptions(componentClass) {
+
+    let { history } = componentClass;
+
+    if (!history) {
+        return null;
+    }
+
+    let options = Array.isArray(history) ? { keys: history } : history,
+        { keys, limit = 100 } = options;
+
+    if (!Array.isArray(keys) || !keys.every(key => typeof key === 'string')) {
+        throw new Error(`${componentClass.name}.history must be an array of binding context property names or an object with a 'keys' array.`);
+    }
+    if (typeof limit !== 'number' || limit < 1) {
+        throw new Error(`${componentClass.name}.history's limit must be a positive number.`);
+    }
+    return { keys, limit };
+}
+
+function getHistory(component, methodName) {
+
+    let history = histories.get(component);
+
+    if (!history) {
+        throw new Error(`${component.constructor.name} can't ${methodName}(), because it doesn't declare a static history.`);
+    }
+    return history;
+}
+
+function recordChange(component, history, key) {
+
+    let before = history.snapshots.get(key),
+        after = toPlainValue(component.get(key)),
+        patches = [];
+
+    history.snapshots.set(key, after);
+
+    if (history.isApplying || !history.isRecording) {
+        return;
+    }
+
+    diff(before, after, key, patches);
+
+    if (!patches.length) {
+        return;
+    }
+    if (history.pendingPatches) {
+        history.pendingPatches.push(...patches);
+    } else {
+        pushStep(component, history, patches);
+    }
+}
+
+function pushStep(component, history, patches) {
+
+    history.undoStack.push(patches);
+    history.redoStack = [];
+
+    if (history.undoStack.length > history.limit) {
+        history.undoStack.splice(0, history.undoStack.length - history.limit);
+    }
+    updateFlags(component, history);
+}
+
+/**
+* Adds a patch to the array for each value that differs between the two plain values.
+*
+* @private
+*/
+function diff(before, after, path, patches) {
+
+    if (before === after) {
+        return;
+    }
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+
+        let keys = new Set([ ...Object.keys(before), ...Object.keys(after) ]);
+
+        for (let key of keys) {
+            diff(before[key], after[key], `${path}.${key}`, patches);
+        }
+    } else if (Array.isArray(before) && Array.isArray(after) && before.length === after.length) {
+        before.forEach((item, index) => diff(item, after[index], `${path}[${index}]`, patches));
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+        patches.push({ path, before, after });
+    }
+}
+
+function applyPatches(component, history, changes) {
+
+    history.isApplying = true;
+
+    try {
+        for (let { path, value } of changes) {
+
+            let currentValue = getKeyPathValue(component.bindingContext, path);
+
+            if (Array.isArray(value) && currentValue && typeof currentValue.splice === 'function' && typeof currentValue.getItem === 'function') {
+                // Keep the ObservableArray, so that bindings to it are updated.
+                currentValue.splice(0, currentValue.length, ...value.map(toObservable));
+            } else {
+                component.set(path, toObservable(value));
+            }
+        }
+    } finally {
+        history.isApplying = false;
+    }
+}
+
+function updateFlags(component, history) {
+    component.set('canUndo', history.undoStack.length > 0);
+    component.set('canRedo', history.redoStack.length > 0);
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
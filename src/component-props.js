@@ -0,0 +1,149 @@
+/**
+* Helpers for applying a component's `static props` declaration.
+* @private
+*/
+
+const coercers = {
+
+    any: value => value,
+
+    string(value) {
+
+        if (typeof value === 'string') {
+            return value;
+        }
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            return String(value);
+        }
+        throw new TypeError('expected a string');
+    },
+
+    number(value) {
+
+        if (typeof value === 'number') {
+            return value;
+        }
+        let number = (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN;
+
+        if (isNaN(number)) {
+            throw new TypeError('expected a number');
+        }
+        return number;
+    },
+
+    boolean(value) {
+
+        if (typeof value === 'boolean') {
+            return value;
+        }
+        if (value === 'true' || value === 'false') {
+            return value === 'true';
+        }
+        throw new TypeError(`expected a boolean or 'true' / 'false'`);
+    },
+
+    json(value) {
+
+        if (typeof value !== 'string') {
+            return value;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            throw new TypeError(`expected valid JSON (${error.message})`);
+        }
+    },
+
+    object(value) {
+
+        if (typeof value === 'object') {
+            return value;
+        }
+        throw new TypeError('expected an object');
+    },
+
+    array(value) {
+
+        if (Array.isArray(value)) {
+            return value;
+        }
+        throw new TypeError('expected an array');
+    },
+
+    function(value) {
+
+        if (typeof value === 'function') {
+            return value;
+        }
+        throw new TypeError('expected a function');
+    }
+};
+
+/**
+* Normalizes a `static props` declaration so that each prop's definition is an object. A definition
+* can be given as just the name of its type (e.g. `{ count: 'number' }`).
+*
+* @param   {Object} props
+* @returns {Object}
+* @private
+*/
+export function normalizePropDefinitions(props) {
+
+    let definitions = {};
+
+    for (let name of Object.keys(props)) {
+
+        let definition = props[name];
+
+        if (typeof definition === 'string') {
+            definition = { type: definition };
+        }
+        definition = Object.assign({ type: 'any', required: false }, definition);
+
+        if (!coercers[definition.type]) {
+            throw new Error(`Invalid type '${definition.type}' declared for prop '${name}'. Valid types are: ${Object.keys(coercers).join(', ')}.`);
+        }
+        definitions[name] = definition;
+    }
+    return definitions;
+}
+
+/**
+* Resolves a prop's value by applying its default value and coercing it to the declared type.
+*
+* @param   {string} componentName
+* @param   {string} name
+* @param   {Object} definition    - A normalized prop definition.
+* @param   {}       value         - The value that was passed to the component.
+* @returns {}
+* @throws  {Error} If the prop is required and missing or if the value can't be coerced to the declared type.
+* @private
+*/
+export function resolvePropValue(componentName, name, definition, value) {
+
+    if ((value === undefined || value === null) && definition.default !== undefined) {
+        value = typeof definition.default === 'function' && definition.type !== 'function' ? definition.default() : definition.default;
+    }
+
+    if (value === undefined || value === null) {
+
+        if (definition.required) {
+            throw new Error(`${componentName}: missing required prop '${name}'. Please pass it as an XML attribute or navigation context property.`);
+        }
+        return value;
+    }
+
+    try {
+        return coercers[definition.type](value);
+    } catch (error) {
+        throw new Error(`${componentName}: invalid value ${describeValue(value)} for prop '${name}' of type '${definition.type}': ${error.message}.`);
+    }
+}
+
+function describeValue(value) {
+
+    if (typeof value === 'string') {
+        return `'${value}'`;
+    }
+    return (typeof value === 'number' || typeof value === 'boolean') ? String(value) : `of type ${typeof value}`;
+}
@@ -0,0 +1,153 @@
+/**
+* Keeps track of every ComponentManager, so that the live component instances can be inspected across all component
+* classes, maps components' root views to the components and records the lifecycle event log
+* (see `Component.enableLifecycleLog()`).
+*
+* @private
+*/
+
+const managers = new Set();
+
+// The component of each loaded root view. A view is forgotten once it's unloaded or recycled for another item, and when it's
+// loaded again (e.g. a page in the back stack), it's matched to a new instance (or to its 'app' scoped or shared instance).
+let componentsByView = new WeakMap();
+
+let lifecycleLog = null;
+
+/**
+* @param {ComponentManager} manager
+* @private
+*/
+export function registerManager(manager) {
+    managers.add(manager);
+}
+
+/**
+* @param {ui/View}   view      - One of the component's root views.
+* @param {Component} component
+* @private
+*/
+export function setViewComponent(view, component) {
+    componentsByView.set(view, component);
+}
+
+/**
+* Forgets the view's component, because the view was unloaded or recycled for another item.
+*
+* @param {ui/View} view
+* @private
+*/
+export function deleteViewComponent(view) {
+    componentsByView.delete(view);
+}
+
+/**
+* @param   {ui/View}        view
+* @returns {Component|null} The component whose root view the view is, if any.
+* @private
+*/
+export function getViewComponent(view) {
+    return componentsByView.get(view) || null;
+}
+
+/**
+* @returns {Array<Component>} The instances of every component class that haven't been disposed, in the order they were created
+*                             for each class.
+* @private
+*/
+export function getInstances() {
+
+    let instances = [];
+
+    for (let manager of managers) {
+        instances.push(...manager._instances);
+    }
+    return instances;
+}
+
+/**
+* @param   {Component} component
+* @returns {number}    The number of loaded views the instance is shown in.
+* @private
+*/
+export function getViewCount(component) {
+
+    for (let manager of managers) {
+
+        let views = manager._views.get(component);
+
+        if (views) {
+            return views.size;
+        }
+    }
+    return 0;
+}
+
+/**
+* Forgets the managers and the components of the views and stops the lifecycle event log (e.g. between tests).
+* @private
+*/
+export function clearRegistry() {
+    managers.clear();
+    componentsByView = new WeakMap();
+    lifecycleLog = null;
+}
+
+/**
+* @param {Object}   options
+* @param {Function} [options.onEvent]
+* @param {number}   [options.limit]
+* @private
+*/
+export function enableLifecycleLog(options) {
+
+    let { onEvent = null, limit = 500 } = options;
+    lifecycleLog = { onEvent, limit, events: [] };
+}
+
+/**
+* @private
+*/
+export function disableLifecycleLog() {
+    lifecycleLog = null;
+}
+
+/**
+* @returns {Array<Object>} The events recorded while the log is enabled, oldest first.
+* @private
+*/
+export function getLifecycleEvents() {
+    return lifecycleLog ? lifecycleLog.events.slice() : [];
+}
+
+/**
+* Records a lifecycle transition of the component if the lifecycle event log is enabled.
+*
+* @param {Component} component
+* @param {string}    eventName
+* @param {Object}    [details]   - Additional properties for the event.
+* @private
+*/
+export function recordLifecycleEvent(component, eventName, details) {
+
+    if (!lifecycleLog) {
+        return;
+    }
+
+    let event = Object.assign({
+        timestamp: Date.now(),
+        event: eventName,
+        componentName: component.constructor.name,
+        componentId: component._id
+    }, details);
+
+    let { events, limit, onEvent } = lifecycleLog;
+    events.push(event);
+
+    if (events.length > limit) {
+        events.splice(0, events.length - limit);
+    }
+    if (onEvent) {
+        onEvent(event);
+    }
+}
@@ -1,4 +1,8 @@
+import { Observable } from 'data/observable';
+import { getViewComponent } from './component-registry';
 
+// The enumerable properties that tns-core-modules Observables have besides their data.
+const observableInternalKeys = [ 'disableNotifications' ];
 
 /**
 * Returns the value of a `bindingContext` object's property, regardless of whether
@@ -17,9 +21,131 @@ export function getBindingContextProperty(bindingContext, propertyName) {
 }
 
 /**
-* For the given view nested within a component, this method traverses the XML tree until it finds
-* a view with a `_component` property. That view is the component's root view, and the `_component` property is used
-* to look up and return the component.
+* Splits a key path like `user.address.city` or `items[2].name` into its segments
+* (e.g. `[ 'items', 2, 'name' ]`). Indexes are returned as numbers.
+*
+* @param   {string} keyPath
+* @returns {Array<string|number>}
+* @private
+*/
+export function parseKeyPath(keyPath) {
+
+    // A leading dot is added so that every property name, including the first, is preceded by one.
+    let remaining = `.${keyPath}`,
+        segments = [],
+        // Matches a property name preceded by a dot or an index in brackets.
+        segmentPattern = /^(?:\.([^.[\]]+)|\[(\d+)\])/;
+
+    while (remaining) {
+
+        let match = segmentPattern.exec(remaining);
+
+        if (!match) {
+            throw new Error(`Invalid key path '${keyPath}'.`);
+        }
+        segments.push(match[1] !== undefined ? match[1] : Number(match[2]));
+        remaining = remaining.slice(match[0].length);
+    }
+    return segments;
+}
+
+/**
+* Returns the value at the given key path (e.g. `user.address.city` or `items[2].name`), walking through Observables,
+* ObservableArrays and plain objects alike. Returns `undefined` if an object along the path is missing.
+*
+* @param   {Observable|Object} bindingContext
+* @param   {string}            keyPath
+* @returns {}
+* @private
+*/
+export function getKeyPathValue(bindingContext, keyPath) {
+
+    let value = bindingContext;
+
+    for (let segment of parseKeyPath(keyPath)) {
+
+        if (value === undefined || value === null) {
+            return undefined;
+        }
+        value = getChildValue(value, segment);
+    }
+    return value;
+}
+
+/**
+* Sets the value at the given key path, walking through Observables, ObservableArrays and plain objects alike.
+* The value is set on the object that directly contains it, so that an Observable along the path emits the
+* `propertyChange` event that bindings like `{{ controls.edit }}` listen for. Missing objects along the path are
+* created as new Observables (or arrays, if the next segment is an index).
+*
+* @param {Observable|Object} bindingContext
+* @param {string}            keyPath
+* @param {}                  value
+* @private
+*/
+export function setKeyPathValue(bindingContext, keyPath, value) {
+
+    let segments = parseKeyPath(keyPath),
+        lastSegment = segments.pop(),
+        target = bindingContext;
+
+    segments.forEach((segment, index) => {
+
+        let child = getChildValue(target, segment);
+
+        if (child === undefined || child === null) {
+            let nextSegment = index + 1 < segments.length ? segments[index + 1] : lastSegment;
+            child = typeof nextSegment === 'number' ? [] : new Observable();
+            setChildValue(target, segment, child);
+        } else if (typeof child !== 'object') {
+            throw new Error(`Cannot set '${keyPath}', because '${segments.slice(0, index + 1).join('.')}' is not an object.`);
+        }
+        target = child;
+    });
+    setChildValue(target, lastSegment, value);
+}
+
+/**
+* Returns the value of an object's property or, if the object is an ObservableArray and the key is an index, its item.
+*
+* @param   {Observable|ObservableArray|Object} object
+* @param   {string|number}                    key
+* @returns {}
+* @private
+*/
+export function getChildValue(object, key) {
+
+    if (typeof key === 'number' && typeof object.getItem === 'function') {
+        // ObservableArray
+        return object.getItem(key);
+    }
+    return getBindingContextProperty(object, key);
+}
+
+/**
+* Sets an object's property or, if the object is an ObservableArray and the key is an index, its item. The key is used
+* literally, rather than as a key path.
+*
+* @param {Observable|ObservableArray|Object} object
+* @param {string|number}                    key
+* @param {}                                 value
+* @private
+*/
+export function setChildValue(object, key, value) {
+
+    if (typeof key === 'number' && typeof object.setItem === 'function') {
+        // ObservableArray
+        object.setItem(key, value);
+    } else if (typeof object.set === 'function') {
+        object.set(key, value);
+    } else {
+        object[key] = value;
+    }
+}
+
+/**
+* For the given view nested within a component, this method walks up the XML tree until it reaches
+* a component's root view and returns that component.
 *
 * @param   {ui/View} view
 * @returns {Component|null} - The view's component, or `null` if the view is not nested within a component.
@@ -27,21 +153,145 @@ export function getBindingContextProperty(bindingContext, propertyName) {
 */
 export function getComponentForView(view, maxIterations = 500) {
 
-    if (maxIterations < 1) {
-        // This shouldn't ever happen, but is included in case to prevent infinite recursion.
-        throw new Error(`Couldn't locate the component containing the ${view.typeName} view, because the maximum number of iterations was reached.`);
+    for (let iteration = 0; view; iteration++) {
+
+        if (iteration === maxIterations) {
+            // This shouldn't ever happen, but is included in case to prevent an infinite loop.
+            throw new Error(`Couldn't locate the component containing the ${view.typeName} view, because the maximum number of iterations was reached.`);
+        }
+
+        let component = getViewComponent(view);
+
+        if (component) {
+            return component;
+        }
+        // The view isn't a component's root view, which is normal if it's that of a tag embedded
+        // within a component. That's OK - let's just try its parent until we get to the component's root view.
+        view = view._parent;
     }
+    return null;
+}
 
-    if (view.bindingContext && getBindingContextProperty(view.bindingContext, '_component')) {
+/**
+* Returns the names of all of the object's own and inherited properties (up to, but not including, `Object.prototype`).
+*
+* @param   {Object}        object
+* @returns {Array<string>}
+* @private
+*/
+export function getAllPropertyNames(object, propertyNames = []) {
+
+    propertyNames.push(...Object.getOwnPropertyNames(object));
+    let prototype = Object.getPrototypeOf(object);
+    return (!prototype || prototype === Object.prototype) ? propertyNames : getAllPropertyNames(prototype, propertyNames);
+}
+
+/**
+* Returns `false` when the app is built for production (i.e. `process.env.NODE_ENV` is `'production'`),
+* so that diagnostics only meant for development can be skipped.
+*
+* @returns {boolean}
+* @private
+*/
+export function isDevelopment() {
+    return typeof process === 'undefined' || !process.env || process.env.NODE_ENV !== 'production';
+}
+
+/**
+* Returns the keys of an Observable's or plain object's data properties, skipping the Observable's internal properties
+* (e.g. its `_observers`, which reference the listening components) and methods.
+*
+* @param   {Observable|Object} object
+* @returns {Array<string>}
+* @private
+*/
+export function getDataKeys(object) {
+
+    return Object.keys(object).filter(key => {
+        return key[0] !== '_' && !observableInternalKeys.includes(key) && typeof object[key] !== 'function';
+    });
+}
+
+/**
+* Returns whether the value is data that can be nested within a binding context: an Observable, an ObservableArray,
+* a plain object or an array, as opposed to e.g. a view or a component.
+*
+* @param   {}      value
+* @returns {boolean}
+* @private
+*/
+export function isDataObject(value) {
+
+    if (!value || typeof value !== 'object') {
+        return false;
+    }
+    return value instanceof Observable || isObservableArray(value) || Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype;
+}
 
-        let component = getBindingContextProperty(view.bindingContext, '_component');
-        return component;
+/**
+* @param   {}      value
+* @returns {boolean}
+* @private
+*/
+export function isObservableArray(value) {
+    return !!value && typeof value.getItem === 'function' && typeof value.length === 'number';
+}
+
+/**
+* Converts plain objects (including those nested within plain objects) to Observables. Other values,
+* including arrays and objects that are already Observables, are returned as is.
+*
+* @param   {} value
+* @returns {}
+* @private
+*/
+export function toObservable(value) {
+
+    if (!value || typeof value !== 'object' || Array.isArray(value) || Object.getPrototypeOf(value) !== Object.prototype) {
+        return value;
     }
 
-    // There's no `_component` defined for this view, which is normal if the view is that of a tag
-    // embedded within a component. That's OK - let's just try its parent until we get to the component's root view.
-    if (view._parent) {
-        return getComponentForView(view._parent, --maxIterations);
+    let observable = new Observable();
+
+    for (let key of Object.keys(value)) {
+        observable.set(key, toObservable(value[key]));
     }
-    return null;
+    return observable;
+}
+
+/**
+* The reverse of `toObservable()`: converts Observables (including those nested within plain objects, arrays and
+* Observables) and ObservableArrays to plain objects and arrays, e.g. so that they can be serialized as JSON.
+*
+* @param   {} value
+* @returns {}
+* @private
+*/
+export function toPlainValue(value) {
+
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (typeof value.getItem === 'function' && typeof value.length === 'number') {
+        // ObservableArray
+        let items = [];
+
+        for (let i = 0; i < value.length; i++) {
+            items.push(toPlainValue(value.getItem(i)));
+        }
+        return items;
+    }
+    if (Array.isArray(value)) {
+        return value.map(toPlainValue);
+    }
+    if (value instanceof Observable || Object.getPrototypeOf(value) === Object.prototype) {
+
+        let plainObject = {};
+
+        for (let key of getDataKeys(value)) {
+            plainObject[key] = toPlainValue(getBindingContextProperty(value, key));
+        }
+        return plainObject;
+    }
+    return value;
 }
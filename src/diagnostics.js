@@ -0,0 +1,75 @@
+import ComponentMisuseError from './ComponentMisuseError';
+
+/**
+* Routes the library's log messages to the configured logger and reports misuse according to the strict mode
+* setting (see `Component.configure()`).
+*
+* @private
+*/
+
+/**
+* The logger used by default, which logs to the console with the library's prefix.
+* @private
+*/
+const consoleLogger = {
+    info: message => console.log(`nativescript-component: ${message}`),
+    warn: message => console.log(`nativescript-component: WARN: ${message}`),
+    error: message => console.log(`nativescript-component: ERROR: ${message}`)
+};
+
+let logger = consoleLogger,
+    strict = false;
+
+/**
+* @param {Object}  options
+* @param {Object}  [options.logger] - `null` restores the default logger.
+* @param {boolean} [options.strict]
+* @private
+*/
+export function configure(options) {
+
+    if (options.logger !== undefined) {
+        logger = options.logger ? Object.assign({}, consoleLogger, options.logger) : consoleLogger;
+    }
+    if (options.strict !== undefined) {
+        strict = !!options.strict;
+    }
+}
+
+/**
+* @private
+*/
+export function info(message) {
+    logger.info(message);
+}
+
+/**
+* @private
+*/
+export function warn(message) {
+    logger.warn(message);
+}
+
+/**
+* @param {string} message
+* @param {Error}  [originalError] - The error being reported, for loggers that report errors elsewhere.
+* @private
+*/
+export function error(message, originalError) {
+    logger.error(message, originalError);
+}
+
+/**
+* Throws a `ComponentMisuseError` with the given code in strict mode, or else logs the message as a warning.
+*
+* @param {string} code
+* @param {string} message
+* @private
+*/
+export function reportMisuse(code, message) {
+
+    if (strict) {
+        throw new ComponentMisuseError({ code, message });
+    }
+    logger.warn(message, { code });
+}
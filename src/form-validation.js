@@ -0,0 +1,188 @@
+import { Observable } from 'data/observable';
+import { error as logError } from './diagnostics';
+import { observeKeyPath } from './key-path-observer';
+
+/**
+* Validates the binding context fields declared by a component's `static validators` and publishes the results as
+* the `errors.<field>` and `isValid` binding context properties (see `Component#validate()`).
+*
+* A field's error is only published once the field has been validated (i.e. it changed or `validate()` was called), so
+* that untouched fields don't show errors. `isValid` considers every field, though: the fields that haven't been
+* validated yet are checked without publishing their errors.
+*
+* @private
+*/
+
+// The validation state of each component whose class declares `static validators`.
+const validations = new WeakMap();
+
+/**
+* Publishes an empty `errors` Observable and `isValid` as `false` and, if the component's class validates on change,
+* starts validating each field whenever its value changes, until the component is released.
+*
+* @param {Component} component
+* @private
+*/
+export function setUpValidation(component) {
+
+    let componentClass = component.constructor,
+        validators = getValidators(componentClass);
+
+    if (!validators) {
+        return;
+    }
+
+    let validation = { validators, errors: new Map(), runIds: new Map(), isValidUpdateId: 0 };
+
+    validations.set(component, validation);
+    component.set('errors', new Observable());
+    component.set('isValid', false);
+
+    for (let fieldName of Object.keys(validators)) {
+        component.set(`errors.${fieldName}`, null);
+    }
+
+    if (!componentClass.validateOnChange) {
+        return;
+    }
+
+    for (let fieldName of Object.keys(validators)) {
+
+        let onChange = () => {
+            validateField(component, validation, fieldName).catch(error => {
+                logError(`${componentClass.name}: validating '${fieldName}' failed: ${error.message}`, error);
+            });
+        };
+        component.addDisposer(observeKeyPath(component.bindingContext, fieldName, onChange, { deep: true }));
+    }
+}
+
+/**
+* Validates the given fields (or all of them) and publishes the results.
+*
+* @param   {Component}     component
+* @param   {Array<string>} [fieldNames]
+* @returns {Promise<Object>} The `isValid` flag and the `errors` by field name (`null` for the valid fields).
+* @private
+*/
+export function validate(component, fieldNames) {
+
+    let validation = validations.get(component);
+
+    if (!validation) {
+        return Promise.reject(new Error(`${component.constructor.name} can't validate(), because it doesn't declare static validators.`));
+    }
+
+    let allFieldNames = Object.keys(validation.validators);
+    fieldNames = fieldNames || allFieldNames;
+
+    let unknownFieldName = fieldNames.find(fieldName => !allFieldNames.includes(fieldName));
+
+    if (unknownFieldName) {
+        return Promise.reject(new Error(`${component.constructor.name} has no validators for '${unknownFieldName}'.`));
+    }
+
+    return Promise.all(fieldNames.map(fieldName => validateField(component, validation, fieldName)))
+    .then(messages => {
+
+        let errors = {};
+        fieldNames.forEach((fieldName, index) => errors[fieldName] = messages[index]);
+
+        return { isValid: messages.every(message => !message), errors };
+    });
+}
+
+/**
+* Normalizes the component class's `static validators` declaration, so that each field has an array of validators.
+*
+* @returns {Object|null}
+* @private
+*/
+function getValidators(componentClass) {
+
+    let { validators } = componentClass;
+
+    if (!validators) {
+        return null;
+    }
+
+    let normalizedValidators = {};
+
+    for (let fieldName of Object.keys(validators)) {
+
+        let fieldValidators = [].concat(validators[fieldName]);
+
+        if (!fieldValidators.every(validator => typeof validator === 'function')) {
+            throw new Error(`${componentClass.name}.validators.${fieldName} must be a validator function or an array of them.`);
+        }
+        normalizedValidators[fieldName] = fieldValidators;
+    }
+    return normalizedValidators;
+}
+
+/**
+* Validates the field and publishes its error message, unless the field has been validated again in the meantime or
+* the component has been released, and then updates `isValid`.
+*
+* @returns {Promise<string|null>} The error message, or `null` if the value is valid.
+* @private
+*/
+function validateField(component, validation, fieldName) {
+
+    let runId = (validation.runIds.get(fieldName) || 0) + 1;
+
+    validation.runIds.set(fieldName, runId);
+
+    return runValidators(component, validation, fieldName)
+    .then(message => {
+
+        if (validation.runIds.get(fieldName) === runId && !component.isDisposed) {
+            validation.errors.set(fieldName, message);
+            component.set(`errors.${fieldName}`, message);
+            updateIsValid(component, validation);
+        }
+        return message;
+    });
+}
+
+/**
+* Runs the field's validators in order until one of them returns an error message.
+*
+* @returns {Promise<string|null>} The error message, or `null` if the value is valid.
+* @private
+*/
+function runValidators(component, validation, fieldName) {
+
+    let value = component.get(fieldName);
+
+    return validation.validators[fieldName].reduce((promise, validator) => {
+
+        return promise.then(message => message || validator.call(component, value, component));
+    }, Promise.resolve(null))
+    .then(message => message || null);
+}
+
+/**
+* Publishes whether every field is valid, checking the fields that haven't been validated yet without publishing
+* their errors. Only the most recent update is published.
+*
+* @private
+*/
+function updateIsValid(component, validation) {
+
+    let updateId = ++validation.isValidUpdateId;
+
+    let messages = Object.keys(validation.validators).map(fieldName => {
+
+        return validation.errors.has(fieldName) ? validation.errors.get(fieldName) : runValidators(component, validation, fieldName);
+    });
+
+    Promise.all(messages)
+    .then(messages => {
+
+        if (validation.isValidUpdateId === updateId && !component.isDisposed) {
+            component.set('isValid', messages.every(message => !message));
+        }
+    })
+    .catch(error => logError(`${component.constructor.name}: validating failed: ${error.message}`, error));
+}
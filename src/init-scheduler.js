@@ -0,0 +1,118 @@
+/**
+* Schedules the `init` hooks of a component tree so that they run outside-in: a component's `init` is called
+* once its parent's `init` has completed and, if the parent's `init` returns a Promise, once that Promise has
+* settled. Each level of the tree therefore waits for the level above it.
+*
+* A component's `_initState` is one of:
+*
+* - `'pending'`      - `init` hasn't been called.
+* - `'initializing'` - `init` has been called, and the Promise it returned hasn't settled.
+* - `'initialized'`  - `init` completed successfully.
+* - `'failed'`       - `init` threw an error or returned a rejected Promise.
+* - `'skipped'`      - `init` wasn't called, because an ancestor failed (see `Component.skipChildInitOnError`).
+*
+* @private
+*/
+
+import { recordLifecycleEvent } from './component-registry';
+
+// The children waiting for each component's `init` to complete.
+const waitingChildren = new WeakMap();
+
+/**
+* Calls the component's `init` hook now if its parent's `init` has completed (or it has no parent), or else
+* once the parent's `init` has completed.
+*
+* @param   {Component} component
+* @returns {}          The value returned by `init`, if it was called right away.
+* @private
+*/
+export function scheduleInit(component) {
+
+    let { parent } = component;
+
+    if (parent && !isInitComplete(parent)) {
+
+        if (!waitingChildren.has(parent)) {
+            waitingChildren.set(parent, []);
+        }
+        waitingChildren.get(parent).push(component);
+        recordLifecycleEvent(component, 'waitingForParent');
+        return undefined;
+    }
+    return initComponent(component);
+}
+
+function isInitComplete(component) {
+    return [ 'initialized', 'failed', 'skipped' ].includes(component._initState);
+}
+
+function shouldSkipChildren(component) {
+    return component._initState === 'skipped' || (component._initState === 'failed' && component.constructor.skipChildInitOnError);
+}
+
+function initComponent(component) {
+
+    let { parent } = component,
+        returnValue;
+
+    if (component.isDisposed) {
+        // The component's view was unloaded while it was waiting for its parent.
+        return undefined;
+    }
+
+    if (parent && shouldSkipChildren(parent)) {
+        setInitState(component, 'skipped');
+        initWaitingChildren(component);
+        return undefined;
+    }
+
+    setInitState(component, 'initializing');
+
+    try {
+        returnValue = component._callPublicInitHook();
+    } catch (error) {
+        completeInit(component, true, error);
+        return undefined;
+    }
+
+    if (returnValue instanceof Promise) {
+        returnValue.then(() => completeInit(component, false), error => completeInit(component, true, error));
+    } else {
+        completeInit(component, false);
+    }
+    return returnValue;
+}
+
+/**
+* Records the outcome of the component's `init`, reports its error if it failed and then initializes
+* the children that were waiting for it.
+*
+* @private
+*/
+function completeInit(component, failed, error) {
+
+    try {
+        if (failed) {
+            setInitState(component, 'failed', { error: error && error.message });
+            component._handleError(error, 'init');
+        } else {
+            setInitState(component, 'initialized');
+            component._onInitialized();
+        }
+    } finally {
+        initWaitingChildren(component);
+    }
+}
+
+function setInitState(component, state, details) {
+    component._initState = state;
+    recordLifecycleEvent(component, state, details);
+}
+
+function initWaitingChildren(component) {
+
+    let children = waitingChildren.get(component) || [];
+    waitingChildren.delete(component);
+    children.forEach(initComponent);
+}
@@ -0,0 +1,145 @@
+import { getChildValue, getDataKeys, getKeyPathValue, isDataObject, isObservableArray, parseKeyPath } from './component-utils';
+
+/**
+* Observes the value at a key path (e.g. `user.address.city`) relative to a root object.
+*
+* A `propertyChange` listener is attached to every Observable along the path (and a `change` listener to
+* every ObservableArray indexed by the path), so the callback is invoked whether the value itself changes or
+* an object containing it is replaced. When an object along the path is replaced, the listeners are moved
+* to the new object. Plain objects along the path can't be observed, so changes made directly to them are missed.
+*
+* With the `deep` option, the callback is also invoked when a property nested anywhere within the value changes,
+* in which case the new and old values are the same object.
+*
+* @param   {Observable|Object} root
+* @param   {string}            keyPath
+* @param   {Function}          callback       - Invoked with the new value and the old value when the value changes.
+* @param   {Object}            [options]
+* @param   {boolean}           [options.deep] - Whether to also observe the properties nested within the value.
+* @returns {Function}          A function which stops observing and removes all of the listeners.
+* @private
+*/
+export function observeKeyPath(root, keyPath, callback, options = {}) {
+
+    let segments = parseKeyPath(keyPath),
+        currentValue = getKeyPathValue(root, keyPath),
+        removeListeners = [];
+
+    let stopListening = () => {
+        removeListeners.forEach(removeListener => removeListener());
+        removeListeners = [];
+    };
+
+    let onChange = () => {
+
+        // An object along the path may have been replaced, so reattach the listeners.
+        listen();
+
+        let newValue = getKeyPathValue(root, keyPath),
+            oldValue = currentValue;
+
+        if (newValue !== oldValue) {
+            currentValue = newValue;
+            callback(newValue, oldValue);
+        }
+    };
+
+    let onNestedChange = () => {
+
+        // A nested object may have been replaced, so reattach the listeners.
+        listen();
+        callback(currentValue, currentValue);
+    };
+
+    let listen = () => {
+
+        stopListening();
+
+        let target = root;
+
+        for (let segment of segments) {
+
+            if (!target || typeof target !== 'object') {
+                break;
+            }
+            removeListeners.push(listenForChange(target, segment, onChange));
+            target = getChildValue(target, segment);
+        }
+
+        if (options.deep && isDataObject(target)) {
+            listenForNestedChanges(target, onNestedChange, removeListeners, new Set());
+        }
+    };
+
+    listen();
+    return stopListening;
+}
+
+/**
+* Listens for changes to a single property of an Observable or to an ObservableArray's items.
+*
+* @returns {Function} A function which removes the listener.
+* @private
+*/
+function listenForChange(target, key, onChange) {
+
+    if (typeof target.on !== 'function') {
+        // Plain objects can't be observed.
+        return () => {};
+    }
+
+    let isArrayItem = typeof key === 'number' && typeof target.getItem === 'function',
+        eventName = isArrayItem ? 'change' : 'propertyChange';
+
+    let listener = data => {
+        if (isArrayItem || data.propertyName === key) {
+            onChange();
+        }
+    };
+
+    target.on(eventName, listener);
+    return () => target.off(eventName, listener);
+}
+
+/**
+* Listens for changes to any data property of the given object and of the Observables, ObservableArrays, plain objects
+* and arrays nested within it (see `getDataKeys()`).
+*
+* @param {Observable|ObservableArray|Object} object
+* @param {Function}                         onChange
+* @param {Array<Function>}                  removeListeners - The functions which remove the listeners are added to this array.
+* @param {Set}                              visited         - The objects already listened to, so that circular references are skipped.
+* @private
+*/
+function listenForNestedChanges(object, onChange, removeListeners, visited) {
+
+    if (visited.has(object)) {
+        return;
+    }
+    visited.add(object);
+
+    if (typeof object.on === 'function') {
+
+        let eventName = isObservableArray(object) ? 'change' : 'propertyChange';
+        object.on(eventName, onChange);
+        removeListeners.push(() => object.off(eventName, onChange));
+    }
+
+    let children = isObservableArray(object) ? getObservableArrayItems(object) : getDataKeys(object).map(key => object[key]);
+
+    for (let child of children) {
+        if (isDataObject(child)) {
+            listenForNestedChanges(child, onChange, removeListeners, visited);
+        }
+    }
+}
+
+function getObservableArrayItems(observableArray) {
+
+    let items = [];
+
+    for (let index = 0; index < observableArray.length; index++) {
+        items.push(observableArray.getItem(index));
+    }
+    return items;
+}
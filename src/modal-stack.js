@@ -0,0 +1,77 @@
+/**
+* Keeps track of the modals shown via `Component#showModal()`, from the bottom of the stack to the top. Each
+* entry has these properties:
+*
+* - `moduleName` - The module name of the modal view, if it was shown by module name.
+* - `context`    - The modal context.
+* - `page`       - The modal's Page, once it's known.
+* - `component`  - The modal's component, once it's been shown (if it's a component).
+* - `close`      - A function which closes the modal with the given reason and returns a Promise that's resolved once
+*                  it's gone.
+*
+* @private
+*/
+
+const modals = [];
+
+/**
+* @param {Object} entry
+* @private
+*/
+export function pushModal(entry) {
+    modals.push(entry);
+}
+
+/**
+* @param {Object} entry
+* @private
+*/
+export function removeModal(entry) {
+
+    let index = modals.indexOf(entry);
+
+    if (index !== -1) {
+        modals.splice(index, 1);
+    }
+}
+
+/**
+* @returns {Object|null} The entry of the modal on top of the stack.
+* @private
+*/
+export function getTopModal() {
+    return modals.length ? modals[modals.length - 1] : null;
+}
+
+/**
+* @returns {Array<Object>} The entries, from the bottom of the stack to the top.
+* @private
+*/
+export function getModals() {
+    return modals.slice();
+}
+
+/**
+* Records the component that was shown modally with the given context on its entry.
+*
+* @param {Component} component
+* @param {}          context   - The modal context the component was shown with.
+* @private
+*/
+export function attachModalComponent(component, context) {
+
+    let entry = modals.find(entry => entry.context === context && !entry.component);
+
+    if (entry) {
+        entry.component = component;
+        entry.page = entry.page || component.view.page;
+    }
+}
+
+/**
+* Forgets all of the modals (e.g. between tests).
+* @private
+*/
+export function clearModals() {
+    modals.splice(0, modals.length);
+}
@@ -0,0 +1,125 @@
+import { Page } from 'ui/page';
+
+/**
+* Keeps track of the pages navigated to via `Component#navigateForResult()` until they're navigated back from.
+*
+* A request is keyed by the navigation context object the page was navigated to with, so that it's found again
+* when the page is navigated back to (and a new component instance is created for it).
+*
+* @private
+*/
+
+// The pending requests, by navigation context.
+const requests = new WeakMap();
+
+/**
+* Creates a request for the result of the page that will be navigated to with the given context.
+*
+* @param   {Object}  context
+* @returns {Promise} A promise that's settled once the page is navigated back from (see `Component#navigateForResult()`).
+* @private
+*/
+export function createResultRequest(context) {
+
+    return new Promise((resolve, reject) => {
+        requests.set(context, { resolve, reject, component: null, page: null, hasResult: false, result: undefined, inBackStack: false });
+    });
+}
+
+/**
+* Settles the request for the given context with a cancellation (e.g. because the navigation to the page was cancelled).
+*
+* @param {Object} context
+* @private
+*/
+export function cancelResultRequest(context) {
+
+    let request = requests.get(context);
+
+    if (request) {
+        requests.delete(context);
+        request.resolve({ reason: 'cancel' });
+    }
+}
+
+/**
+* If the component's page was navigated to for a result, settles the request once the page is navigated back from
+* and rejects it if the component is released while its page is neither being navigated back from nor in the back stack.
+*
+* @param {Component} component
+* @private
+*/
+export function trackResultRequest(component) {
+
+    let context = component.navigationContext,
+        request = context && requests.get(context),
+        page = component.view;
+
+    if (!request || request.component === component) {
+        return;
+    }
+    request.component = component;
+    request.inBackStack = false;
+
+    if (request.page !== page) {
+
+        let onNavigatedFrom = ({ isBackNavigation }) => {
+
+            if (!isBackNavigation) {
+                request.inBackStack = true;
+                return;
+            }
+            page.off(Page.navigatedFromEvent, onNavigatedFrom);
+            requests.delete(context);
+            request.resolve(request.hasResult ? { reason: 'result', result: request.result } : { reason: 'cancel' });
+        };
+
+        request.page = page;
+        page.on(Page.navigatedFromEvent, onNavigatedFrom);
+    }
+
+    component.addDisposer(() => {
+
+        if (!requests.has(context) || request.inBackStack) {
+            return;
+        }
+        requests.delete(context);
+        request.reject(new Error(`${component.constructor.name} was navigated to for a result, but its page was unloaded without being navigated back from.`));
+    });
+}
+
+/**
+* Records the result that the component's page will be settled with when it's navigated back from.
+*
+* @param   {Component} component
+* @param   {}          result
+* @returns {boolean}   Whether the component's page was navigated to for a result.
+* @private
+*/
+export function setResult(component, result) {
+
+    let request = component.navigationContext && requests.get(component.navigationContext);
+
+    if (!request) {
+        return false;
+    }
+    request.hasResult = true;
+    request.result = result;
+    return true;
+}
+
+/**
+* Forgets a result recorded via `setResult()` (e.g. because navigating back was cancelled).
+*
+* @param {Component} component
+* @private
+*/
+export function clearResult(component) {
+
+    let request = component.navigationContext && requests.get(component.navigationContext);
+
+    if (request) {
+        request.hasResult = false;
+        request.result = undefined;
+    }
+}
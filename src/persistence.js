@@ -0,0 +1,181 @@
+import ApplicationSettingsStorage from './ApplicationSettingsStorage';
+import { toObservable, toPlainValue } from './component-utils';
+import { warn } from './diagnostics';
+import { observeKeyPath } from './key-path-observer';
+
+/**
+* Saves the binding context properties declared by a component's `static persist` to the configured storage
+* adapter and restores them before the component's `init()`.
+*
+* Each instance's state is stored as JSON under a single key, along with the version it was saved with:
+* `{ "version": 1, "state": { "draft": { ... } } }`. State saved with an older version is migrated and saved again
+* with the current version.
+*
+* @private
+*/
+
+let storage = null;
+
+/**
+* @param {Object|null} newStorage - The storage adapter, or `null` to use the default one.
+* @private
+*/
+export function setStorage(newStorage) {
+    storage = newStorage;
+}
+
+function getStorage() {
+
+    if (!storage) {
+        storage = new ApplicationSettingsStorage();
+    }
+    return storage;
+}
+
+/**
+* Restores the component's persisted properties onto its binding context and then saves them whenever they change,
+* until the component is released.
+*
+* @param {Component} component
+* @private
+*/
+export function setUpPersistence(component) {
+
+    let options = getPersistOptions(component.constructor);
+
+    if (!options) {
+        return;
+    }
+
+    let storageKey = getStorageKey(component, options),
+        { state, isMigrated } = readState(component, storageKey, options),
+        save = () => writeState(component, storageKey, options);
+
+    if (state) {
+        for (let key of options.keys.filter(key => state.hasOwnProperty(key))) {
+            component.set(key, toObservable(state[key]));
+        }
+    }
+    if (isMigrated) {
+        // Save the migrated state, so that it isn't migrated again each time the component is created.
+        save();
+    }
+
+    for (let key of options.keys) {
+        component.addDisposer(observeKeyPath(component.bindingContext, key, save, { deep: true }));
+    }
+}
+
+/**
+* Removes the component's persisted state from storage.
+*
+* @param {Component} component
+* @private
+*/
+export function clearPersistedState(component) {
+
+    let options = getPersistOptions(component.constructor);
+
+    if (options) {
+        getStorage().removeItem(getStorageKey(component, options));
+    }
+}
+
+/**
+* Normalizes the component class's `static persist` declaration.
+*
+* @returns {Object|null} The `storageKey`, `keys`, `version`, `migrate` and `key` options, or `null` if nothing is persisted.
+*                        Without a `storageKey`, the class name is used.
+* @private
+*/
+function getPersistOptions(componentClass) {
+
+    let { persist } = componentClass;
+
+    if (!persist) {
+        return null;
+    }
+
+    let options = Array.isArray(persist) ? { keys: persist } : persist,
+        { storageKey = componentClass.name, keys, version = 1, migrate = null, key = null } = options;
+
+    if (typeof storageKey !== 'string' || !storageKey) {
+        throw new Error(`${componentClass.name || 'An anonymous component class'}.persist must have a 'storageKey' string that identifies the persisted state, because the class has no name.`);
+    }
+    if (!Array.isArray(keys) || !keys.every(key => typeof key === 'string')) {
+        throw new Error(`${componentClass.name}.persist must be an array of binding context property names or an object with a 'keys' array.`);
+    }
+    return { storageKey, keys, version, migrate, key };
+}
+
+/**
+* The key the component's state is stored under: the `storageKey` option (or the class name), followed by the component's
+* `instanceKey()` (if any) or the value returned by the `key` option.
+*
+* @private
+*/
+function getStorageKey(component, options) {
+
+    let componentClass = component.constructor,
+        suffix = options.key ? options.key(component) : componentClass.instanceKey(component.view),
+        storageKey = `nativescript-component:${options.storageKey}`;
+
+    return (suffix === undefined || suffix === null) ? storageKey : `${storageKey}:${suffix}`;
+}
+
+/**
+* @returns {Object} The persisted `state`, migrated to the current version (or `null` if there's none), and whether it was
+*                   migrated (`isMigrated`).
+* @private
+*/
+function readState(component, storageKey, options) {
+
+    let componentName = component.constructor.name,
+        record;
+
+    try {
+        let json = getStorage().getItem(storageKey);
+
+        if (json === undefined || json === null) {
+            return { state: null, isMigrated: false };
+        }
+        record = JSON.parse(json);
+    } catch (error) {
+        warn(`Couldn't restore the persisted state of ${componentName}: ${error.message}`);
+        return { state: null, isMigrated: false };
+    }
+
+    let { version, state } = record || {};
+
+    if (version === options.version) {
+        return { state: state || null, isMigrated: false };
+    }
+
+    if (!options.migrate) {
+        warn(`Discarded the persisted state of ${componentName}, because it was saved with version ${version} rather than ${options.version}, and ${componentName}.persist has no 'migrate' function.`);
+        return { state: null, isMigrated: false };
+    }
+
+    let migratedState = options.migrate(state, version) || null;
+    return { state: migratedState, isMigrated: !!migratedState };
+}
+
+function writeState(component, storageKey, options) {
+
+    let state = {};
+
+    for (let key of options.keys) {
+
+        let value = toPlainValue(component.get(key));
+
+        if (value !== undefined) {
+            state[key] = value;
+        }
+    }
+
+    try {
+        getStorage().setItem(storageKey, JSON.stringify({ version: options.version, state }));
+    } catch (error) {
+        warn(`Couldn't persist the state of ${component.constructor.name}: ${error.message}`);
+    }
+}
@@ -0,0 +1,105 @@
+import { Observable } from 'data/observable';
+import { warn } from './diagnostics';
+
+/**
+* Loads the resources declared by a component's `static resources` into its binding context, along with their
+* `loading.<name>` and `error.<name>` state (see `Component.resources`).
+*
+* Each load of a resource gets a token, and its result is only applied if the token is still the resource's current one.
+* A newer load of the same resource replaces the token, and releasing the component forgets all of them, so results
+* that arrive after that are ignored.
+*
+* @private
+*/
+
+// The loading state of each component whose class declares `static resources`.
+const states = new WeakMap();
+
+/**
+* Starts loading all of the component's resources.
+*
+* @param   {Component}         component
+* @returns {Promise|undefined} A Promise that's resolved once every resource has loaded or failed, or `undefined` if
+*                              the component's class doesn't declare any resources.
+* @private
+*/
+export function loadResources(component) {
+
+    let loaders = getLoaders(component.constructor);
+
+    if (!loaders) {
+        return undefined;
+    }
+
+    let state = { loaders, tokens: new Map() };
+
+    states.set(component, state);
+    component.addDisposer(() => state.tokens.clear());
+    component.set('loading', new Observable());
+    component.set('error', new Observable());
+
+    let loads = Object.keys(loaders).map(name => load(component, state, name).catch(() => {}));
+    return Promise.all(loads);
+}
+
+/**
+* Loads the resource again.
+*
+* @param   {Component} component
+* @param   {string}    name
+* @returns {Promise}   A Promise for the resource's new value.
+* @private
+*/
+export function reload(component, name) {
+
+    let state = states.get(component);
+
+    if (!state || !state.loaders[name]) {
+        throw new Error(`${component.constructor.name} can't reload '${name}', because it isn't one of its static resources.`);
+    }
+    return load(component, state, name);
+}
+
+function getLoaders(componentClass) {
+
+    let { resources } = componentClass;
+
+    if (!resources) {
+        return null;
+    }
+
+    for (let name of Object.keys(resources)) {
+        if (typeof resources[name] !== 'function') {
+            throw new Error(`${componentClass.name}.resources.${name} must be a function which returns the resource or a Promise for it.`);
+        }
+    }
+    return resources;
+}
+
+function load(component, state, name) {
+
+    let token = {},
+        isCurrent = () => state.tokens.get(name) === token && !component.isDisposed;
+
+    state.tokens.set(name, token);
+    component.set(`loading.${name}`, true);
+    component.set(`error.${name}`, null);
+
+    return new Promise(resolve => resolve(state.loaders[name].call(component, component)))
+    .then(value => {
+
+        if (isCurrent()) {
+            component.set(name, value);
+            component.set(`loading.${name}`, false);
+        }
+        return value;
+    }, error => {
+
+        if (isCurrent()) {
+            warn(`${component.constructor.name}: loading the '${name}' resource failed: ${error && error.message}`);
+            component.set(`error.${name}`, error);
+            component.set(`loading.${name}`, false);
+        }
+        throw error;
+    });
+}
@@ -0,0 +1,184 @@
+import { mount, reset, View } from './index';
+import Component from '../Component';
+import { getBindingContextProperty } from '../component-utils';
+import { getViewComponent } from '../component-registry';
+
+/**
+* Compares the component lookups and the XML attribute discovery that run for every component with the implementations
+* they replaced, which are reproduced below as baselines, so the comparison runs on the current tree. Run it via `npm run benchmark`.
+*
+* - `lookUpNested` - Finding the component of a view nested within a deep chain of components via `Component.findByView()`,
+*   which used to walk up the views reading a `_component` property from each binding context. The baseline stops at the
+*   first view, whose binding context is inherited from the component's root view, so it's expected to be faster: that
+*   shortcut is what made nested components of the same class resolve to the outer instance. This step shows the cost of
+*   walking up to the root view instead.
+* - `lookUpRows` - Finding the component of each row's root view, as the ComponentManager does for each initialization
+*   hook, which used to search every live instance for the `_componentId` read from the view's binding context.
+* - `discoverAttributes` - Finding the XML attributes passed to each row, which used to create a throwaway view of the
+*   same class for each component. The harness's views are far cheaper to create than NativeScript's, so the gain is
+*   larger in an app.
+*
+* The row steps are run 10 times over the rows. Running the benchmark for a short and a long list of rows shows how the
+* cost of each step scales with the number of rows.
+*
+* @example
+* import { runBenchmark } from 'nativescript-component/dist/testing/benchmark';
+*
+* let { lookUpRows } = runBenchmark({ rows: 500 });
+* console.log(`${lookUpRows.before / lookUpRows.after} times faster`);
+*
+* @param   {Object} [options]
+* @param   {number} [options.rows=1000]      - The number of sibling components mounted in a page.
+* @param   {number} [options.depth=50]       - The number of components nested within each other.
+* @param   {number} [options.viewsDeep=10]   - The number of plain views nested within the innermost component, below
+*                                              which a view is looked up.
+* @param   {number} [options.repeat=100000]  - The number of times the nested view is looked up.
+* @returns {Object} The milliseconds taken by each step, before and after the change (e.g. `{ lookUpRows: { before, after } }`).
+*/
+export function runBenchmark(options = {}) {
+
+    let { rows = 1000, depth = 50, viewsDeep = 10, repeat = 100000 } = options,
+        results = {};
+
+    class BenchmarkPage extends Component {}
+    class BenchmarkRow extends Component {
+        static get props() {
+            return { index: 'number', label: 'string' };
+        }
+    }
+
+    reset();
+
+    // A long list of rows.
+    let page = mount(BenchmarkPage),
+        rowComponents = [];
+
+    for (let index = 0; index < rows; index++) {
+        rowComponents.push(mount(BenchmarkRow, { parent: page, attributes: { index: String(index), label: `Row ${index}` } }));
+    }
+    rowComponents.forEach(setBaselineReferences);
+
+    let rowViews = rowComponents.map(component => component.view),
+        instances = BenchmarkRow.getInstances();
+
+    results.lookUpRows = {
+        before: measure(() => rowViews.forEach(view => findRootComponentBefore(instances, view)), 10),
+        after: measure(() => rowViews.forEach(getViewComponent), 10)
+    };
+
+    results.discoverAttributes = {
+        before: measure(() => rowComponents.forEach(getAttributeNamesBefore), 10),
+        after: measure(() => rowComponents.forEach(component => component._getNamesOfPropertiesPassedAsXmlAttributes()), 10)
+    };
+
+    // A deep chain of nested components.
+    let parent = page;
+
+    for (let level = 0; level < depth; level++) {
+        parent = mount(BenchmarkRow, { parent, attributes: { index: String(level) } });
+        setBaselineReferences(parent);
+    }
+
+    let innermostView = parent.view;
+
+    for (let level = 0; level < viewsDeep; level++) {
+        let view = new View();
+        innermostView.addChild(view);
+        // Like NativeScript, which sets the inherited binding context on each nested view.
+        view.bindingContext = innermostView.bindingContext;
+        innermostView = view;
+    }
+
+    results.lookUpNested = {
+        before: measure(() => findByViewBefore(innermostView), repeat),
+        after: measure(() => Component.findByView(innermostView), repeat)
+    };
+
+    reset();
+    return results;
+}
+
+/**
+* Sets the binding context properties that the component used to be looked up by.
+*
+* @private
+*/
+function setBaselineReferences(component) {
+    component.set('_componentId', component._id);
+    component.set('_component', component);
+}
+
+/**
+* The baseline for `Component.findByView()`.
+*
+* @private
+*/
+function findByViewBefore(view, maxIterations = 500) {
+
+    if (maxIterations < 1) {
+        throw new Error(`Couldn't locate the component containing the ${view.typeName} view, because the maximum number of iterations was reached.`);
+    }
+    if (view.bindingContext && getBindingContextProperty(view.bindingContext, '_component')) {
+        return getBindingContextProperty(view.bindingContext, '_component');
+    }
+    return view._parent ? findByViewBefore(view._parent, --maxIterations) : null;
+}
+
+/**
+* The baseline for `ComponentManager#_getComponentForRootView()`.
+*
+* @private
+*/
+function findRootComponentBefore(instances, view) {
+
+    if (!view.bindingContext) {
+        return null;
+    }
+    let componentId = getBindingContextProperty(view.bindingContext, '_componentId');
+    return (componentId && instances.find(({ _id }) => _id === componentId)) || null;
+}
+
+/**
+* The baseline for `Component#_getNamesOfPropertiesPassedAsXmlAttributes()`.
+*
+* @private
+*/
+function getAttributeNamesBefore(component) {
+
+    let exampleInstance = new component.view.constructor(),
+        events = component.constructor.events,
+        shouldIgnoreKey = key => key === 'exports' || key.includes('xmlns') || events.includes(key);
+
+    return Object.getOwnPropertyNames(component.view).filter(key => {
+        return exampleInstance[key] === undefined && key[0] !== '_' && !shouldIgnoreKey(key);
+    });
+}
+
+function measure(fn, times = 1) {
+
+    let start = process.hrtime();
+
+    for (let time = 0; time < times; time++) {
+        fn();
+    }
+    let [ seconds, nanoseconds ] = process.hrtime(start);
+    return Math.round((seconds * 1e3 + nanoseconds / 1e6) * 100) / 100;
+}
+
+if (require.main === module) {
+
+    // Warm up, so that the first measurements don't include compiling the code.
+    runBenchmark({ rows: 100, repeat: 1000 });
+
+    for (let rows of [ 100, 1000 ]) {
+
+        let results = runBenchmark({ rows });
+
+        console.log(`${rows} rows:`);
+
+        for (let step of Object.keys(results)) {
+            let { before, after } = results[step];
+            console.log(`  ${step}: ${before} ms before, ${after} ms after (${Math.round(before / after * 10) / 10}x)`);
+        }
+    }
+}
@@ -0,0 +1,193 @@
+import { registerModule as registerAppModule, clearRegisteredModules } from './register';
+import { Observable, View, Page, Frame, topmost, resetTopmost, application, applicationSettings } from './tns-modules';
+import Component from '../Component';
+import { getViewComponent } from '../component-registry';
+import { clearModals } from '../modal-stack';
+
+export { Observable, View, Page, Frame, topmost, applicationSettings };
+
+/**
+* The event that NativeScript emits for each of the component initialization hooks.
+* @private
+*/
+const hookEvents = {
+    onNavigatingTo: Page.navigatingToEvent,
+    onNavigatedTo: Page.navigatedToEvent,
+    onLoaded: View.loadedEvent,
+    onShownModally: Page.shownModallyEvent
+};
+
+// The module exports for each component class, so that every mount of a class shares one ComponentManager like it would in an app.
+let exportsByClass = new Map();
+
+/**
+* Mounts a component in a headless view hierarchy and returns its instance.
+*
+* The view events are fired in the same order as they are by NativeScript, and they're routed through the
+* functions exported by `Component.export()`, so the component goes through its real lifecycle.
+*
+* - Without a `parent`, the component's root view is a `Page` that is navigated to in the topmost frame:
+*   its `navigatingTo` event fires, then the page is loaded.
+* - With a `parent`, the component's root view is a `View` added to the parent's view. If the page hasn't loaded yet,
+*   `init()` is called once it does. Otherwise the view's `loaded` event fires right away, and `init()` is called once
+*   the pending Promise callbacks have run, just like for a view added to a loaded page in the app (see `flush()`).
+*
+* If the component's `init()` returns a Promise, `init()` for components nested within it won't have been
+* called until that Promise settles.
+*
+* @example
+* import { mount, unmount } from 'nativescript-component/dist/testing';
+*
+* let page = mount(DetailsPage, { navigationContext: { user } });
+* let firstName = mount(EditableText, { parent: page, attributes: { record: user, fieldName: 'firstName' } });
+*
+* @param   {Class}             ComponentClass
+* @param   {Object}            [options]
+* @param   {Object}            [options.attributes]        - Properties to set on the root view, as if they were passed as XML attributes.
+* @param   {Object}            [options.navigationContext] - The navigation context for a component whose root view is a `Page`.
+* @param   {Component|View}    [options.parent]            - The component or view in which to nest the component.
+* @param   {Observable|Object} [options.bindingContext]    - The root view's binding context, e.g. the item for a component that's
+*                                                            a ListView's item template. Replace the view's `bindingContext` later
+*                                                            to simulate the view being recycled for another item.
+* @param   {string}            [options.hook]              - The initialization hook the template hooks up. Defaults to `onNavigatingTo`
+*                                                            without a parent and to `onLoaded` with one.
+* @returns {Component}
+*/
+export function mount(ComponentClass, options = {}) {
+
+    let { attributes = {}, navigationContext, parent, bindingContext } = options,
+        hook = options.hook || (parent ? 'onLoaded' : 'onNavigatingTo'),
+        moduleExports = getModuleExports(ComponentClass);
+
+    if (!hookEvents[hook]) {
+        throw new Error(`Cannot mount ${ComponentClass.name}, because '${hook}' is not an initialization hook.`);
+    }
+
+    let view = parent ? new View() : new Page();
+    Object.assign(view, attributes);
+
+    if (bindingContext !== undefined) {
+        view.bindingContext = bindingContext;
+    }
+    view.on(hookEvents[hook], moduleExports[hook]);
+
+    if (parent) {
+        let parentView = parent instanceof View ? parent : parent.view;
+        parentView.addChild(view);
+    } else {
+        topmost()._showPage(view, navigationContext);
+    }
+
+    let component = getViewComponent(view);
+
+    if (!component) {
+        throw new Error(`Mounting ${ComponentClass.name} didn't create a component instance. Is it exported with '${hook}' as a public method?`);
+    }
+    return component;
+}
+
+/**
+* Unmounts a component that was mounted with `mount()`, emitting `unloaded` for its view and the views
+* nested within it (inner views first).
+*
+* @param {Component} component
+*/
+export function unmount(component) {
+
+    let view = component.view,
+        parentView = view.parent;
+
+    if (parentView instanceof Frame) {
+        parentView._removePage(view);
+    } else if (parentView) {
+        parentView.removeChild(view);
+    } else if (view.isLoaded) {
+        view.onUnloaded();
+    }
+}
+
+/**
+* Unloads the current page and starts over with a fresh topmost frame, fresh module exports for each
+* component class, no registered modules, no app-level provided values, no tracked modals, no lifecycle event log and no
+* values in the `application-settings` stand-in (where persisted state is saved). Call this between tests.
+*/
+export function reset() {
+
+    let currentPage = topmost().currentPage;
+
+    if (currentPage) {
+        topmost()._removePage(currentPage);
+    }
+    resetTopmost();
+    exportsByClass.clear();
+    clearRegisteredModules();
+    Component._clearRootProviders();
+    Component._clearRegistry();
+    clearModals();
+    applicationSettings.clear();
+}
+
+/**
+* Returns a Promise which resolves once the pending Promise callbacks have run, e.g. the `init()` of a component whose
+* view was added to a page that had already loaded, or the `init()` of nested components waiting for an async `init()`
+* that has resolved.
+*
+* @example
+* let field = mount(EditableText, { parent: page });
+* return flush().then(() => assert.equal(field.get('isEditing'), false));
+*
+* @returns {Promise}
+*/
+export function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+* Presses Android's back button: NativeScript emits `activityBackPressed` and, unless a handler cancels it, the topmost
+* frame navigates back. Navigation guards run asynchronously, so `flush()` before asserting on the navigation.
+*
+* @example
+* pressBack();
+* return flush().then(() => assert.deepStrictEqual(topmost().navigationEntries, [ { back: true } ]));
+*/
+export function pressBack() {
+
+    let args = { eventName: application.AndroidApplication.activityBackPressedEvent, object: application.android, cancel: false };
+
+    application.android.notify(args);
+
+    if (!args.cancel && topmost().canGoBack()) {
+        topmost().goBack();
+    }
+}
+
+/**
+* Registers the component class's module exports under a module name, so that `require(moduleName)` returns
+* them like it would in the app. This lets the router load the module to consult the component's `static canEnter()`
+* when navigating to it.
+*
+* @example
+* registerModule('components/user-details/user-details', UserDetails);
+*
+* @param {string} moduleName
+* @param {Class}  ComponentClass
+*/
+export function registerModule(moduleName, ComponentClass) {
+    registerAppModule(moduleName, getModuleExports(ComponentClass));
+}
+
+/**
+* Returns the module exports for the component class, as they'd be exported from its view module.
+*
+* @param   {Class}  ComponentClass
+* @returns {Object}
+*/
+export function getModuleExports(ComponentClass) {
+
+    if (!exportsByClass.has(ComponentClass)) {
+        let moduleExports = {};
+        ComponentClass.export(moduleExports);
+        exportsByClass.set(ComponentClass, moduleExports);
+    }
+    return exportsByClass.get(ComponentClass);
+}
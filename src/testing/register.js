@@ -0,0 +1,59 @@
+import Module from 'module';
+import { Observable, View, Page, Frame, topmost, application, applicationSettings } from './tns-modules';
+
+/**
+* Makes `require()` resolve the tns-core-modules that nativescript-component imports to the
+* stand-ins in `tns-modules`, so that the library can be loaded under Node. This module is
+* imported for its side effect and must be imported before `Component`.
+*
+* @private
+*/
+
+// App modules registered via `registerModule()`, by module name.
+const appModules = new Map();
+
+const standIns = {
+    'data/observable': { Observable },
+    'ui/core/view': { View },
+    'ui/page': { Page },
+    'ui/frame': { Frame, topmost },
+    'application': application,
+    'application-settings': applicationSettings
+};
+
+if (!Module._load._nativescriptComponentStandIns) {
+
+    let originalLoad = Module._load;
+
+    let load = function (request) {
+
+        if (Object.prototype.hasOwnProperty.call(standIns, request)) {
+            return standIns[request];
+        }
+        if (load._appModules.has(request)) {
+            return load._appModules.get(request);
+        }
+        return originalLoad.apply(this, arguments);
+    };
+    load._nativescriptComponentStandIns = standIns;
+    load._appModules = appModules;
+    Module._load = load;
+}
+
+/**
+* Makes `require(moduleName)` return the given exports, as it would for an app module in NativeScript.
+*
+* @param {string} moduleName
+* @param {Object} moduleExports
+* @private
+*/
+export function registerModule(moduleName, moduleExports) {
+    Module._load._appModules.set(moduleName, moduleExports);
+}
+
+/**
+* @private
+*/
+export function clearRegisteredModules() {
+    Module._load._appModules.clear();
+}
@@ -0,0 +1,510 @@
+/**
+* Lightweight stand-ins for the parts of tns-core-modules that nativescript-component depends on.
+* They implement just enough of the real API (events, view hierarchy, binding context inheritance,
+* loading and unloading) for components to be mounted and exercised under Node.
+*
+* @private
+*/
+
+export class Observable {
+
+    /**
+    * @param {Object} [source] - Properties to copy onto the new instance.
+    */
+    constructor(source) {
+
+        // Like tns-core-modules 2.x, these are enumerable own properties, so anything that enumerates an
+        // Observable's keys must skip them.
+        this._observers = {};
+        this.disableNotifications = {};
+
+        if (source) {
+            for (let key of Object.keys(source)) {
+                this[key] = source[key];
+            }
+        }
+    }
+
+    get(name) {
+        return this[name];
+    }
+
+    set(name, value) {
+
+        let oldValue = this[name];
+
+        if (oldValue === value) {
+            return;
+        }
+        this[name] = value;
+        this.notify({ eventName: Observable.propertyChangeEvent, object: this, propertyName: name, value, oldValue });
+    }
+
+    on(eventNames, callback, thisArg) {
+
+        for (let eventName of splitEventNames(eventNames)) {
+            let observers = this._observers[eventName] || (this._observers[eventName] = []);
+            observers.push({ callback, thisArg });
+        }
+    }
+
+    off(eventNames, callback, thisArg) {
+
+        for (let eventName of splitEventNames(eventNames)) {
+
+            let observers = this._observers[eventName];
+
+            if (!observers) {
+                continue;
+            }
+            if (!callback) {
+                delete this._observers[eventName];
+                continue;
+            }
+            this._observers[eventName] = observers.filter(observer => observer.callback !== callback || (thisArg !== undefined && observer.thisArg !== thisArg));
+        }
+    }
+
+    notify(data) {
+
+        // Copy the list so that listeners added or removed while notifying don't affect this notification.
+        let observers = (this._observers[data.eventName] || []).slice();
+
+        for (let { callback, thisArg } of observers) {
+            callback.call(thisArg, data);
+        }
+    }
+
+    notifyPropertyChange(name, value, oldValue) {
+        this.notify({ eventName: Observable.propertyChangeEvent, object: this, propertyName: name, value, oldValue });
+    }
+
+    hasListeners(eventName) {
+        return !!(this._observers[eventName] && this._observers[eventName].length);
+    }
+}
+
+Observable.propertyChangeEvent = 'propertyChange';
+
+export class View extends Observable {
+
+    constructor() {
+
+        super();
+        Object.defineProperty(this, '_parent', { value: undefined, writable: true });
+        Object.defineProperty(this, '_children', { value: [], writable: true });
+        Object.defineProperty(this, '_bindingContext', { value: undefined, writable: true });
+        Object.defineProperty(this, '_isLoaded', { value: false, writable: true });
+        Object.defineProperty(this, '_id', { value: undefined, writable: true });
+    }
+
+    /**
+    * Like NativeScript's views, `id` isn't an own property, so it's not mistaken for a custom XML attribute.
+    */
+    get id() {
+        return this._id;
+    }
+
+    set id(id) {
+        this._id = id;
+    }
+
+    get parent() {
+        return this._parent;
+    }
+
+    get page() {
+
+        let view = this;
+
+        while (view && !(view instanceof Page)) {
+            view = view._parent;
+        }
+        return view;
+    }
+
+    get isLoaded() {
+        return this._isLoaded;
+    }
+
+    get typeName() {
+        return this.constructor.name;
+    }
+
+    /**
+    * Like NativeScript's views, a view without its own binding context inherits its parent's.
+    */
+    get bindingContext() {
+
+        if (this._bindingContext !== undefined) {
+            return this._bindingContext;
+        }
+        return this._parent ? this._parent.bindingContext : undefined;
+    }
+
+    /**
+    * Like NativeScript's views, replacing the binding context (e.g. when a ListView recycles an item view) emits `propertyChange`.
+    */
+    set bindingContext(context) {
+
+        let oldValue = this.bindingContext;
+        this._bindingContext = context;
+
+        if (context !== oldValue) {
+            this.notify({ eventName: Observable.propertyChangeEvent, object: this, propertyName: 'bindingContext', value: context, oldValue });
+        }
+    }
+
+    addChild(view) {
+
+        view._parent = this;
+        this._children.push(view);
+
+        if (this.isLoaded && !view.isLoaded) {
+            view.onLoaded();
+        }
+    }
+
+    removeChild(view) {
+
+        let index = this._children.indexOf(view);
+
+        if (index === -1) {
+            return;
+        }
+        if (view.isLoaded) {
+            view.onUnloaded();
+        }
+        this._children.splice(index, 1);
+        view._parent = undefined;
+    }
+
+    getViewById(id) {
+
+        for (let child of this._children) {
+
+            if (child.id === id) {
+                return child;
+            }
+            let match = child.getViewById(id);
+
+            if (match) {
+                return match;
+            }
+        }
+        return undefined;
+    }
+
+    _eachChildView(callback) {
+        this._children.slice().forEach(callback);
+    }
+
+    /**
+    * Loads the child views before emitting this view's `loaded` event, just like NativeScript does.
+    */
+    onLoaded() {
+
+        this._isLoaded = true;
+        this._eachChildView(child => child.onLoaded());
+        this.notify({ eventName: View.loadedEvent, object: this });
+    }
+
+    /**
+    * Unloads the child views before emitting this view's `unloaded` event, just like NativeScript does.
+    */
+    onUnloaded() {
+
+        this._eachChildView(child => child.onUnloaded());
+        this._isLoaded = false;
+        this.notify({ eventName: View.unloadedEvent, object: this });
+    }
+}
+
+View.loadedEvent = 'loaded';
+View.unloadedEvent = 'unloaded';
+
+export class Page extends View {
+
+    constructor() {
+
+        super();
+        Object.defineProperty(this, '_navigationContext', { value: undefined, writable: true });
+        Object.defineProperty(this, '_modal', { value: undefined, writable: true });
+        Object.defineProperty(this, '_modalParent', { value: undefined, writable: true });
+        Object.defineProperty(this, '_closeModalCallback', { value: undefined, writable: true });
+        Object.defineProperty(this, '_moduleName', { value: undefined, writable: true });
+        Object.defineProperty(this, '_fullscreen', { value: false, writable: true });
+    }
+
+    get navigationContext() {
+        return this._navigationContext;
+    }
+
+    set navigationContext(context) {
+        this._navigationContext = context;
+    }
+
+    /**
+    * The modal page shown from this page via `showModal()`, if it hasn't been closed.
+    *
+    * @type {Page|undefined}
+    */
+    get modal() {
+        return this._modal;
+    }
+
+    /**
+    * The page this page was shown modally from, if it's an open modal.
+    *
+    * @type {Page|undefined}
+    */
+    get modalParent() {
+        return this._modalParent;
+    }
+
+    /**
+    * The module name the modal page was shown with, if it was shown by module name.
+    *
+    * @type {string|undefined}
+    */
+    get moduleName() {
+        return this._moduleName;
+    }
+
+    /**
+    * Shows a modal page like NativeScript does: the page is loaded and then emits `shownModally` with a
+    * `closeCallback` that closes it. When a module name is given, a blank page is shown and, if the module was
+    * registered via the testing module's `registerModule()`, its `onShownModally` export is hooked up to the
+    * page's `shownModally` event, as if its template did so.
+    *
+    * @param   {string|Page} moduleNameOrPage
+    * @param   {}            context
+    * @param   {Function}    [closeCallback]
+    * @param   {boolean}     [fullscreen]
+    * @returns {Page}        The modal page.
+    */
+    showModal(moduleNameOrPage, context, closeCallback, fullscreen) {
+
+        let page = moduleNameOrPage;
+
+        if (typeof moduleNameOrPage === 'string') {
+
+            let moduleExports = loadModule(moduleNameOrPage);
+            page = new Page();
+            page._moduleName = moduleNameOrPage;
+
+            if (moduleExports && typeof moduleExports.onShownModally === 'function') {
+                page.on(Page.shownModallyEvent, moduleExports.onShownModally);
+            }
+        }
+
+        page._modalParent = this;
+        page._fullscreen = !!fullscreen;
+        page._closeModalCallback = (...args) => {
+
+            page.onUnloaded();
+            page._modalParent = undefined;
+            page._closeModalCallback = undefined;
+            this._modal = undefined;
+
+            if (typeof closeCallback === 'function') {
+                closeCallback(...args);
+            }
+        };
+
+        this._modal = page;
+        page.onLoaded();
+        page.notify({ eventName: Page.shownModallyEvent, object: page, context, closeCallback: page._closeModalCallback });
+        return page;
+    }
+
+    /**
+    * Closes the page if it's an open modal, passing the arguments to the callback it was shown with.
+    */
+    closeModal(...args) {
+
+        if (this._closeModalCallback) {
+            this._closeModalCallback(...args);
+        }
+    }
+}
+
+Page.navigatingToEvent = 'navigatingTo';
+Page.navigatedToEvent = 'navigatedTo';
+Page.navigatedFromEvent = 'navigatedFrom';
+Page.shownModallyEvent = 'shownModally';
+
+export class Frame extends View {
+
+    constructor() {
+
+        super();
+        Object.defineProperty(this, '_currentPage', { value: undefined, writable: true });
+        Object.defineProperty(this, '_navigationEntries', { value: [], writable: true });
+        Object.defineProperty(this, '_backStack', { value: [], writable: true });
+    }
+
+    get currentPage() {
+        return this._currentPage;
+    }
+
+    /**
+    * Every entry passed to `navigate()`, in order, so tests can assert on navigation.
+    *
+    * @type {Array<Object>}
+    */
+    get navigationEntries() {
+        return this._navigationEntries;
+    }
+
+    /**
+    * The pages that were navigated away from and can be navigated back to, oldest first.
+    *
+    * @type {Array<Page>}
+    */
+    get backStack() {
+        return this._backStack;
+    }
+
+    navigate(entry) {
+        this._navigationEntries.push(entry);
+    }
+
+    canGoBack() {
+        return this._backStack.length > 0;
+    }
+
+    /**
+    * Records the back navigation and, if there's a page in the back stack, navigates back to it.
+    */
+    goBack() {
+
+        this._navigationEntries.push({ back: true });
+
+        if (!this._backStack.length) {
+            return;
+        }
+        let page = this._backStack.pop();
+        this._leaveCurrentPage(true);
+        this._enterPage(page, page.navigationContext, true);
+    }
+
+    /**
+    * Makes the given page the frame's current page, emitting `navigatingTo` on it before loading it. The previous
+    * page is navigated from, unloaded and kept in the back stack.
+    *
+    * @param {Page}   page
+    * @param {Object} [context] - The navigation context.
+    */
+    _showPage(page, context) {
+
+        let previousPage = this._leaveCurrentPage(false);
+
+        if (previousPage) {
+            this._backStack.push(previousPage);
+        }
+        page.navigationContext = context;
+        this._enterPage(page, context, false);
+    }
+
+    _enterPage(page, context, isBackNavigation) {
+
+        page._parent = this;
+        this._currentPage = page;
+        page.notify({ eventName: Page.navigatingToEvent, object: page, context, isBackNavigation });
+        page.onLoaded();
+        page.notify({ eventName: Page.navigatedToEvent, object: page, context, isBackNavigation });
+    }
+
+    _leaveCurrentPage(isBackNavigation) {
+
+        let page = this._currentPage;
+
+        if (page) {
+            page.notify({ eventName: Page.navigatedFromEvent, object: page, context: page.navigationContext, isBackNavigation });
+            this._removePage(page);
+        }
+        return page;
+    }
+
+    _removePage(page) {
+
+        if (page.isLoaded) {
+            page.onUnloaded();
+        }
+        if (this._currentPage === page) {
+            this._currentPage = undefined;
+        }
+        page._parent = undefined;
+    }
+}
+
+let topmostFrame = new Frame();
+
+export function topmost() {
+    return topmostFrame;
+}
+
+/**
+* Replaces the topmost frame with a fresh one.
+*/
+export function resetTopmost() {
+    topmostFrame = new Frame();
+}
+
+export class AndroidApplication extends Observable {}
+
+AndroidApplication.activityBackPressedEvent = 'activityBackPressed';
+
+/**
+* A stand-in for the `application` module of an Android app, so that the back button can be pressed in tests.
+*/
+export const application = {
+    android: new AndroidApplication(),
+    AndroidApplication
+};
+
+// The values stored via the application-settings stand-in.
+const settings = new Map();
+
+/**
+* A stand-in for the `application-settings` module, backed by memory.
+*/
+export const applicationSettings = {
+
+    hasKey(key) {
+        return settings.has(key);
+    },
+
+    getString(key, defaultValue) {
+        return settings.has(key) ? settings.get(key) : defaultValue;
+    },
+
+    setString(key, value) {
+        settings.set(key, String(value));
+    },
+
+    remove(key) {
+        settings.delete(key);
+    },
+
+    clear() {
+        settings.clear();
+    }
+};
+
+/**
+* Loads an app module the way NativeScript's builder does, returning `null` if it can't be loaded.
+*/
+function loadModule(moduleName) {
+
+    try {
+        return require(moduleName);
+    } catch (error) {
+        return null;
+    }
+}
+
+function splitEventNames(eventNames) {
+    return eventNames.split(',').map(name => name.trim()).filter(name => name);
+}
@@ -0,0 +1,103 @@
+import { validate } from 'parameter-validator';
+
+/**
+* Validators for the fields declared by a component's `static validators` (see `Component.validators`).
+*
+* A validator is a function which is passed a field's value and the component, and which returns an error message if the
+* value is invalid, or `null` (or `undefined`) if it's valid. It can also return a Promise for either, e.g. to check a
+* value with the server. Apart from `required()`, these validators treat missing values as valid, so that optional
+* fields can be validated too.
+*
+* @example
+* import { required, maxLength } from 'nativescript-component/dist/validators';
+*
+* static get validators() {
+*     return {
+*         firstName: [ required(), maxLength(40) ],
+*         username: [ required(), username => api.isTaken(username).then(taken => taken ? 'Already taken' : null) ]
+*     };
+* }
+*
+* @module validators
+*/
+
+/**
+* Creates a validator which rejects `undefined`, `null`, empty (or whitespace-only) strings and empty arrays.
+*
+* @param   {Object}   [options]
+* @param   {string}   [options.message='Required']
+* @returns {Function}
+*/
+export function required(options = {}) {
+
+    let { message = 'Required' } = options;
+
+    return value => isMissing(value) ? message : null;
+}
+
+/**
+* Creates a validator which rejects strings and arrays that are shorter than the given length.
+*
+* @param   {number}   min
+* @param   {Object}   [options]
+* @param   {string}   [options.message] - Defaults to e.g. 'Must be at least 3 characters'.
+* @returns {Function}
+*/
+export function minLength(min, options = {}) {
+
+    validate({ min }, [ { min: isLength } ]);
+    let { message = `Must be at least ${min} characters` } = options;
+
+    return value => (!isMissing(value) && getLength(value) < min) ? message : null;
+}
+
+/**
+* Creates a validator which rejects strings and arrays that are longer than the given length.
+*
+* @param   {number}   max
+* @param   {Object}   [options]
+* @param   {string}   [options.message] - Defaults to e.g. 'Must be at most 40 characters'.
+* @returns {Function}
+*/
+export function maxLength(max, options = {}) {
+
+    validate({ max }, [ { max: isLength } ]);
+    let { message = `Must be at most ${max} characters` } = options;
+
+    return value => (!isMissing(value) && getLength(value) > max) ? message : null;
+}
+
+/**
+* Creates a validator which rejects values that don't match the regular expression.
+*
+* @param   {RegExp}   regExp
+* @param   {Object}   [options]
+* @param   {string}   [options.message='Invalid format']
+* @returns {Function}
+*/
+export function pattern(regExp, options = {}) {
+
+    validate({ regExp }, [ { regExp: value => value instanceof RegExp } ]);
+    let { message = 'Invalid format' } = options;
+
+    return value => (!isMissing(value) && !regExp.test(String(value))) ? message : null;
+}
+
+function isMissing(value) {
+
+    if (value === undefined || value === null) {
+        return true;
+    }
+    if (typeof value === 'string') {
+        return !value.trim();
+    }
+    return getLength(value) === 0;
+}
+
+function getLength(value) {
+    return (typeof value === 'string' || typeof value.length === 'number') ? value.length : String(value).length;
+}
+
+function isLength(value) {
+    return typeof value === 'number' && value >= 0;
+}
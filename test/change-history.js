@@ -0,0 +1,110 @@
+import assert from 'assert';
+import { mount, reset, flush, Observable } from '../src/testing';
+import Component from '../src/Component';
+
+describe('history', () => {
+
+    class DetailsPage extends Component {
+
+        static get history() {
+            return { keys: [ 'user' ], limit: 3 };
+        }
+
+        init() {
+            this.set('user', new Observable({ firstName: 'Ada', lastName: 'Lovelace' }));
+        }
+    }
+
+    afterEach(() => reset());
+
+    it('doesn\'t record the changes made by init()', () => {
+
+        let page = mount(DetailsPage);
+
+        assert.strictEqual(page.get('canUndo'), false);
+        assert.strictEqual(page.undo(), false);
+    });
+
+    it('doesn\'t record the changes made before an async init() settles', () => {
+
+        let resolveInit;
+
+        class AsyncPage extends DetailsPage {
+            init() {
+                this.set('user', new Observable({ firstName: 'Ada' }));
+
+                return new Promise(resolve => resolveInit = resolve)
+                .then(() => this.set('user.firstName', 'Grace'));
+            }
+        }
+
+        let page = mount(AsyncPage);
+        resolveInit();
+
+        return flush().then(() => {
+
+            assert.strictEqual(page.get('user.firstName'), 'Grace');
+            assert.strictEqual(page.get('canUndo'), false);
+
+            page.set('user.firstName', 'Alan');
+            assert.strictEqual(page.get('canUndo'), true);
+        });
+    });
+
+    it('undoes and redoes changes to nested properties', () => {
+
+        let page = mount(DetailsPage),
+            user = page.get('user');
+
+        page.set('user.firstName', 'Grace');
+        page.set('user.lastName', 'Hopper');
+
+        assert.strictEqual(page.undo(), true);
+        assert.strictEqual(page.get('user.lastName'), 'Lovelace');
+        assert.strictEqual(page.get('user'), user);
+        assert.strictEqual(page.get('canRedo'), true);
+
+        assert.strictEqual(page.redo(), true);
+        assert.strictEqual(page.get('user.lastName'), 'Hopper');
+        assert.strictEqual(page.get('canRedo'), false);
+    });
+
+    it('undoes the changes made in a transaction as one step', () => {
+
+        let page = mount(DetailsPage);
+
+        page.transaction(() => {
+            page.set('user.firstName', 'Lovelace');
+            page.set('user.lastName', 'Ada');
+        });
+        page.undo();
+
+        assert.strictEqual(page.get('user.firstName'), 'Ada');
+        assert.strictEqual(page.get('user.lastName'), 'Lovelace');
+        assert.strictEqual(page.get('canUndo'), false);
+    });
+
+    it('discards the redo steps when a new change is made and keeps at most the limit of steps', () => {
+
+        let page = mount(DetailsPage);
+
+        [ 'B', 'C', 'D', 'E' ].forEach(name => page.set('user.firstName', name));
+        page.undo();
+        page.set('user.lastName', 'Byron');
+
+        assert.strictEqual(page.get('canRedo'), false);
+
+        while (page.undo()) {
+            // Undo every step that was kept.
+        }
+        // The first change was discarded to keep three steps.
+        assert.strictEqual(page.get('user.firstName'), 'B');
+    });
+
+    it('throws when the component doesn\'t declare a history', () => {
+
+        let page = mount(class PlainPage extends Component {});
+
+        assert.throws(() => page.undo(), /PlainPage can't undo\(\), because it doesn't declare a static history/);
+    });
+});
@@ -0,0 +1,61 @@
+import assert from 'assert';
+import { mount, unmount, reset, flush, View } from '../src/testing';
+import Component from '../src/Component';
+
+describe('component lookup', () => {
+
+    class ListPage extends Component {}
+
+    class TreeNode extends Component {
+        static get props() {
+            return { label: 'string' };
+        }
+    }
+
+    afterEach(() => reset());
+
+    it('creates an instance for each of several nested components of the same class', () => {
+
+        // The inner views inherit the outer views' binding contexts, which used to make them resolve to the outer instance.
+        let page = mount(ListPage),
+            outer = mount(TreeNode, { parent: page, attributes: { label: 'outer' } }),
+            inner = mount(TreeNode, { parent: outer, attributes: { label: 'inner' } });
+
+        return flush().then(() => {
+
+            assert.notStrictEqual(inner, outer);
+            assert.strictEqual(inner.parent, outer);
+            assert.strictEqual(inner._initState, 'initialized');
+            assert.deepStrictEqual(TreeNode.getInstances(), [ outer, inner ]);
+            assert.strictEqual(Component.findByView(inner.view), inner);
+            assert.strictEqual(Component.findByView(outer.view), outer);
+        });
+    });
+
+    it('finds the component of a view nested deep within its template', () => {
+
+        let page = mount(ListPage),
+            node = mount(TreeNode, { parent: page }),
+            view = node.view;
+
+        for (let level = 0; level < 20; level++) {
+            let child = new View();
+            view.addChild(child);
+            view = child;
+        }
+
+        assert.strictEqual(Component.findByView(view), node);
+    });
+
+    it('forgets the component of an unloaded view', () => {
+
+        let page = mount(ListPage),
+            node = mount(TreeNode, { parent: page }),
+            { view } = node;
+
+        unmount(node);
+
+        assert.strictEqual(Component.findByView(view), null);
+        assert.deepStrictEqual(TreeNode.getInstances(), []);
+    });
+});
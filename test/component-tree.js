@@ -0,0 +1,124 @@
+import assert from 'assert';
+import { mount, unmount, reset, flush } from '../src/testing';
+import Component from '../src/Component';
+
+describe('component tree', () => {
+
+    class DetailsPage extends Component {}
+    class UserCard extends Component {}
+    class EditableText extends Component {}
+
+    afterEach(() => reset());
+
+    it('links each component to its parent and children', () => {
+
+        let page = mount(DetailsPage),
+            card = mount(UserCard, { parent: page }),
+            firstName = mount(EditableText, { parent: card, attributes: { id: 'firstName' } }),
+            lastName = mount(EditableText, { parent: card, attributes: { id: 'lastName' } });
+
+        return flush().then(() => {
+            assert.strictEqual(page.parent, null);
+            assert.strictEqual(card.parent, page);
+            assert.deepStrictEqual(page.children, [ card ]);
+            assert.deepStrictEqual(card.children, [ firstName, lastName ]);
+            assert.strictEqual(page.findChild('lastName'), lastName);
+            assert.strictEqual(page.findChild('middleName'), null);
+        });
+    });
+
+    it('removes an unloaded component from its parent\'s children', () => {
+
+        let page = mount(DetailsPage),
+            card = mount(UserCard, { parent: page });
+
+        return flush().then(() => {
+
+            unmount(card);
+
+            assert.deepStrictEqual(page.children, []);
+            assert.strictEqual(card.parent, null);
+        });
+    });
+
+    it('waits for the Promise returned by a parent\'s init() before calling init() for its children', () => {
+
+        let calls = [],
+            resolveInit;
+
+        class LoadingCard extends Component {
+            init() {
+                calls.push('card');
+                return new Promise(resolve => resolveInit = resolve);
+            }
+        }
+        class Field extends Component {
+            init() {
+                calls.push(`field ${this.parent.constructor.name}`);
+            }
+        }
+
+        let page = mount(DetailsPage),
+            card = mount(LoadingCard, { parent: page });
+
+        mount(Field, { parent: card });
+
+        return flush()
+        .then(() => {
+            assert.deepStrictEqual(calls, [ 'card' ]);
+            resolveInit();
+            return flush();
+        })
+        .then(() => assert.deepStrictEqual(calls, [ 'card', 'field LoadingCard' ]));
+    });
+
+    it('calls init() only once for a subclass which calls its superclass\'s init()', () => {
+
+        let calls = [];
+
+        class BaseCard extends Component {
+            init() {
+                calls.push('BaseCard');
+            }
+        }
+        class UserDetailsCard extends BaseCard {
+            init() {
+                super.init();
+                calls.push('UserDetailsCard');
+            }
+        }
+
+        mount(UserDetailsCard, { parent: mount(DetailsPage) });
+
+        return flush().then(() => assert.deepStrictEqual(calls, [ 'BaseCard', 'UserDetailsCard' ]));
+    });
+
+    it('doesn\'t call init() for a component whose view was unloaded while it was waiting for its parent', () => {
+
+        let isInitialized = false,
+            resolveInit;
+
+        class LoadingCard extends Component {
+            init() {
+                return new Promise(resolve => resolveInit = resolve);
+            }
+        }
+        class Field extends Component {
+            init() {
+                isInitialized = true;
+            }
+        }
+
+        let card = mount(LoadingCard, { parent: mount(DetailsPage) }),
+            field = mount(Field, { parent: card });
+
+        return flush()
+        .then(() => {
+            assert.strictEqual(field._initState, 'pending');
+            unmount(field);
+            resolveInit();
+            return flush();
+        })
+        .then(() => assert.strictEqual(isInitialized, false));
+    });
+});
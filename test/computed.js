@@ -0,0 +1,91 @@
+import assert from 'assert';
+import { mount, unmount, reset, Observable } from '../src/testing';
+import Component from '../src/Component';
+
+describe('computed', () => {
+
+    let originalOnError = Component.onError;
+
+    class UserPage extends Component {
+
+        static get computed() {
+            return {
+                fullName: {
+                    deps: [ 'firstName', 'user.lastName' ],
+                    get() {
+                        return `${this.get('firstName')} ${this.get('user.lastName')}`;
+                    }
+                }
+            };
+        }
+    }
+
+    function mountUserPage() {
+        return mount(UserPage, { bindingContext: new Observable({ firstName: 'Ada', user: new Observable({ lastName: 'Lovelace' }) }) });
+    }
+
+    afterEach(() => {
+        Component.onError = originalOnError;
+        reset();
+    });
+
+    it('sets the computed properties before init()', () => {
+
+        let fullNameInInit;
+
+        class InitUserPage extends UserPage {
+            init() {
+                fullNameInInit = this.get('fullName');
+            }
+        }
+
+        mount(InitUserPage, { bindingContext: new Observable({ firstName: 'Ada', user: new Observable({ lastName: 'Lovelace' }) }) });
+
+        assert.strictEqual(fullNameInInit, 'Ada Lovelace');
+    });
+
+    it('updates a computed property when one of its dependencies changes', () => {
+
+        let page = mountUserPage(),
+            changes = [];
+
+        page.bindingContext.on(Observable.propertyChangeEvent, ({ propertyName, value }) => {
+            if (propertyName === 'fullName') {
+                changes.push(value);
+            }
+        });
+        page.set('firstName', 'Augusta');
+        page.set('user.lastName', 'King');
+        page.set('user', new Observable({ lastName: 'Byron' }));
+
+        assert.deepStrictEqual(changes, [ 'Augusta Lovelace', 'Augusta King', 'Augusta Byron' ]);
+    });
+
+    it('stops updating once the view is unloaded', () => {
+
+        let page = mountUserPage(),
+            { bindingContext } = page;
+
+        unmount(page);
+        bindingContext.set('firstName', 'Grace');
+
+        assert.strictEqual(bindingContext.get('fullName'), 'Ada Lovelace');
+    });
+
+    it('requires a get function', () => {
+
+        let reportedErrors = [];
+
+        class BrokenPage extends Component {
+            static get computed() {
+                return { fullName: { deps: [ 'firstName' ] } };
+            }
+        }
+
+        Component.onError = error => reportedErrors.push(error);
+        mount(BrokenPage);
+
+        assert.strictEqual(reportedErrors.length, 1);
+        assert(/BrokenPage: computed property 'fullName' must have a 'get' function/.test(reportedErrors[0].message));
+    });
+});
@@ -0,0 +1,128 @@
+import assert from 'assert';
+import { mount, unmount, reset, flush } from '../src/testing';
+import Component from '../src/Component';
+
+describe('disposal', () => {
+
+    let originalOnError = Component.onError,
+        calls;
+
+    class DetailsPage extends Component {
+
+        willDispose() {
+            calls.push(`${this.constructor.name}.willDispose ${this.get('title')}`);
+        }
+
+        dispose() {
+            calls.push(`${this.constructor.name}.dispose`);
+        }
+    }
+
+    class UserCard extends DetailsPage {}
+
+    beforeEach(() => calls = []);
+    afterEach(() => {
+        Component.onError = originalOnError;
+        reset();
+    });
+
+    it('calls willDispose() while the binding context is intact, then dispose()', () => {
+
+        let page = mount(DetailsPage, { navigationContext: { title: 'Ada' } });
+
+        unmount(page);
+
+        assert.deepStrictEqual(calls, [ 'DetailsPage.willDispose Ada', 'DetailsPage.dispose' ]);
+        assert.strictEqual(page.isDisposed, true);
+    });
+
+    it('disposes the nested components before their parents', () => {
+
+        let page = mount(DetailsPage);
+        mount(UserCard, { parent: page });
+
+        return flush().then(() => {
+
+            unmount(page);
+
+            assert.deepStrictEqual(calls, [
+                'UserCard.willDispose undefined', 'UserCard.dispose',
+                'DetailsPage.willDispose undefined', 'DetailsPage.dispose'
+            ]);
+        });
+    });
+
+    it('throws from get() and set() once disposed', () => {
+
+        let page = mount(DetailsPage);
+
+        unmount(page);
+
+        assert.throws(() => page.get('title'), /Component DetailsPage has been disposed/);
+        assert.throws(() => page.set('title', 'Ada'), /Component DetailsPage has been disposed/);
+    });
+
+    it('releases the component and marks it as disposed even if willDispose() throws', () => {
+
+        let isDisposeCalled = false,
+            reportedErrors = [];
+
+        class FailingPage extends Component {
+
+            willDispose() {
+                throw new Error('Offline');
+            }
+
+            dispose() {
+                isDisposeCalled = true;
+            }
+        }
+
+        Component.onError = (error, component, phase) => reportedErrors.push(phase);
+
+        let page = mount(FailingPage);
+        unmount(page);
+
+        assert.strictEqual(isDisposeCalled, true);
+        assert.strictEqual(page.isDisposed, true);
+        assert.deepStrictEqual(reportedErrors, [ 'dispose' ]);
+    });
+
+    describe('singletons', () => {
+
+        class SettingsPage extends Component {
+
+            static get isSingleton() {
+                return true;
+            }
+
+            init() {
+                calls.push('init');
+            }
+
+            onPageShown() {
+                calls.push('onPageShown');
+            }
+
+            onPageHidden() {
+                calls.push('onPageHidden');
+            }
+
+            dispose() {
+                calls.push('dispose');
+            }
+        }
+
+        it('calls onPageHidden() and onPageShown() instead of disposing the instance', () => {
+
+            let page = mount(SettingsPage);
+            unmount(page);
+
+            let nextPage = mount(SettingsPage);
+
+            assert.strictEqual(nextPage, page);
+            assert.strictEqual(page.isDisposed, false);
+            assert.deepStrictEqual(calls, [ 'init', 'onPageShown', 'onPageHidden', 'init', 'onPageShown' ]);
+        });
+    });
+});
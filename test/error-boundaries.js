@@ -0,0 +1,143 @@
+import assert from 'assert';
+import { mount, reset, flush } from '../src/testing';
+import Component from '../src/Component';
+
+describe('error boundaries', () => {
+
+    let originalOnError = Component.onError,
+        reported,
+        calls;
+
+    class FailingCard extends Component {
+        init() {
+            calls.push('FailingCard');
+            throw new Error('Offline');
+        }
+    }
+
+    class UserField extends Component {
+        init() {
+            calls.push('UserField');
+        }
+    }
+
+    beforeEach(() => {
+        reported = [];
+        calls = [];
+        Component.onError = (error, component, phase) => reported.push([ 'onError', component.constructor.name, phase ]);
+    });
+
+    afterEach(() => {
+        Component.onError = originalOnError;
+        reset();
+    });
+
+    it('passes the error to the closest ancestor that handles it', () => {
+
+        class DetailsPage extends Component {
+            onInitError(error, component) {
+                reported.push([ 'DetailsPage', component.constructor.name, error.phase ]);
+                return true;
+            }
+        }
+        class UserPanel extends Component {
+            onInitError(error, component) {
+                reported.push([ 'UserPanel', component.constructor.name, error.phase ]);
+                return false;
+            }
+        }
+
+        let page = mount(DetailsPage),
+            panel = mount(UserPanel, { parent: page });
+
+        mount(FailingCard, { parent: panel });
+
+        return flush().then(() => {
+            assert.deepStrictEqual(reported, [ [ 'UserPanel', 'FailingCard', 'init' ], [ 'DetailsPage', 'FailingCard', 'init' ] ]);
+        });
+    });
+
+    it('passes the error to Component.onError when no ancestor handles it', () => {
+
+        class DetailsPage extends Component {}
+
+        mount(FailingCard, { parent: mount(DetailsPage) });
+
+        return flush().then(() => assert.deepStrictEqual(reported, [ [ 'onError', 'FailingCard', 'init' ] ]));
+    });
+
+    it('passes the error to the onError of the component\'s class when it overrides it', () => {
+
+        class DetailsPage extends Component {}
+        class ReportingCard extends FailingCard {
+            static onError(error, component, phase) {
+                reported.push([ 'ReportingCard.onError', component.constructor.name, phase ]);
+            }
+        }
+
+        mount(ReportingCard, { parent: mount(DetailsPage) });
+
+        return flush().then(() => assert.deepStrictEqual(reported, [ [ 'ReportingCard.onError', 'ReportingCard', 'init' ] ]));
+    });
+
+    it('initializes the nested components after their parent fails by default', () => {
+
+        class DetailsPage extends Component {}
+
+        let page = mount(DetailsPage),
+            card = mount(FailingCard, { parent: page }),
+            field = mount(UserField, { parent: card });
+
+        return flush().then(() => {
+            assert.deepStrictEqual(calls, [ 'FailingCard', 'UserField' ]);
+            assert.strictEqual(card._initState, 'failed');
+            assert.strictEqual(field._initState, 'initialized');
+        });
+    });
+
+    it('skips init() for the nested components at any depth when skipChildInitOnError is true', () => {
+
+        class DetailsPage extends Component {}
+        class StrictCard extends FailingCard {
+            static get skipChildInitOnError() {
+                return true;
+            }
+        }
+
+        let page = mount(DetailsPage),
+            card = mount(StrictCard, { parent: page }),
+            field = mount(UserField, { parent: card }),
+            nestedField = mount(UserField, { parent: field });
+
+        return flush().then(() => {
+            assert.deepStrictEqual(calls, [ 'FailingCard' ]);
+            assert.strictEqual(field._initState, 'skipped');
+            assert.strictEqual(nestedField._initState, 'skipped');
+        });
+    });
+
+    it('reports a rejected Promise returned by init() and errors thrown by the other hooks', () => {
+
+        class SettingsPage extends Component {
+
+            static get isSingleton() {
+                return true;
+            }
+
+            onPageShown() {
+                throw new Error('Offline');
+            }
+        }
+        class LoadingCard extends Component {
+            init() {
+                return Promise.reject(new Error('Offline'));
+            }
+        }
+
+        mount(LoadingCard, { parent: mount(SettingsPage) });
+
+        return flush().then(() => {
+            assert.deepStrictEqual(reported, [ [ 'onError', 'SettingsPage', 'onPageShown' ], [ 'onError', 'LoadingCard', 'init' ] ]);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+import assert from 'assert';
+import { mount, reset, flush } from '../src/testing';
+import Component from '../src/Component';
+import ComponentLifecycleError from '../src/ComponentLifecycleError';
+import ComponentMisuseError from '../src/ComponentMisuseError';
+
+describe('errors', () => {
+
+    let originalOnError = Component.onError,
+        messages;
+
+    beforeEach(() => {
+        messages = [];
+        Component.configure({ logger: { warn: message => messages.push(message), error: message => messages.push(message) } });
+    });
+
+    afterEach(() => {
+        Component.onError = originalOnError;
+        Component.configure({ logger: null, strict: false });
+        reset();
+    });
+
+    describe('ComponentLifecycleError', () => {
+
+        it('is passed to Component.onError when init() throws', () => {
+
+            let reported = [];
+
+            class DetailsPage extends Component {
+                init() {
+                    throw new Error('Offline');
+                }
+            }
+
+            Component.onError = (error, component, phase) => reported.push({ error, component, phase });
+
+            let page = mount(DetailsPage),
+                [ { error, component, phase } ] = reported;
+
+            assert(error instanceof ComponentLifecycleError);
+            assert(error instanceof Error);
+            assert.strictEqual(error.name, 'ComponentLifecycleError');
+            assert.strictEqual(error.message, `DetailsPage failed during 'init': Offline`);
+            assert.strictEqual(error.componentName, 'DetailsPage');
+            assert.strictEqual(error.originalError.message, 'Offline');
+            assert.strictEqual(component, page);
+            assert.strictEqual(phase, 'init');
+        });
+
+        it('is passed to the closest error boundary', () => {
+
+            let reported = [];
+
+            class DetailsPage extends Component {
+                onInitError(error, component) {
+                    reported.push([ error, component ]);
+                    return true;
+                }
+            }
+            class UserCard extends Component {
+                init() {
+                    return Promise.reject(new Error('Offline'));
+                }
+            }
+
+            let page = mount(DetailsPage),
+                card = mount(UserCard, { parent: page });
+
+            return flush()
+            .then(() => {
+                assert.strictEqual(reported.length, 1);
+                assert(reported[0][0] instanceof ComponentLifecycleError);
+                assert.strictEqual(reported[0][1], card);
+            });
+        });
+    });
+
+    describe('ComponentMisuseError', () => {
+
+        it('is thrown for misuse in strict mode', () => {
+
+            class DetailsPage extends Component {}
+
+            Component.configure({ strict: true });
+
+            assert.throws(() => mount(DetailsPage, { hook: 'onLoaded' }), error => {
+                return error instanceof ComponentMisuseError && error.code === 'PAGE_HOOKED_WITH_ON_LOADED';
+            });
+        });
+
+        it('is only logged as a warning for misuse without strict mode', () => {
+
+            class DetailsPage extends Component {}
+
+            mount(DetailsPage, { hook: 'onLoaded' });
+
+            assert.strictEqual(messages.length, 1);
+        });
+    });
+});
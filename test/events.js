@@ -0,0 +1,95 @@
+import assert from 'assert';
+import { mount, reset, flush } from '../src/testing';
+import Component from '../src/Component';
+
+describe('emit()', () => {
+
+    let calls;
+
+    class DetailsPage extends Component {
+        onChildSave(eventData) {
+            calls.push(eventData);
+            return 'saved';
+        }
+    }
+
+    class EditableText extends Component {
+
+        static get events() {
+            return [ 'save' ];
+        }
+
+        static get props() {
+            return { fieldName: 'string' };
+        }
+    }
+
+    beforeEach(() => calls = []);
+    afterEach(() => reset());
+
+    function mountField(attributes) {
+
+        let page = mount(DetailsPage),
+            field = mount(EditableText, { parent: page, attributes: Object.assign({ fieldName: 'firstName' }, attributes) });
+
+        return flush().then(() => ({ page, field }));
+    }
+
+    it('invokes the parent\'s method named by the event\'s XML attribute', () => {
+
+        return mountField({ save: 'onChildSave' }).then(({ field }) => {
+
+            let returnValue = field.emit('save', { value: 'Ada' }),
+                [ { eventName, object, component, payload } ] = calls;
+
+            assert.strictEqual(returnValue, 'saved');
+            assert.strictEqual(eventName, 'save');
+            assert.strictEqual(object, field.view);
+            assert.strictEqual(component, field);
+            assert.deepStrictEqual(payload, { value: 'Ada' });
+        });
+    });
+
+    it('invokes a function bound to the event\'s XML attribute', () => {
+
+        return mountField({ save: eventData => calls.push(eventData.payload) }).then(({ field }) => {
+
+            field.emit('save', 'Ada');
+
+            assert.deepStrictEqual(calls, [ 'Ada' ]);
+        });
+    });
+
+    it('emits the event from the component\'s view', () => {
+
+        return mountField().then(({ page, field }) => {
+
+            page.listenTo(field.view, 'save', ({ payload }) => calls.push(payload));
+            assert.strictEqual(field.emit('save', 'Ada'), undefined);
+
+            assert.deepStrictEqual(calls, [ 'Ada' ]);
+        });
+    });
+
+    it('doesn\'t set the event\'s XML attribute on the binding context', () => {
+
+        return mountField({ save: 'onChildSave' }).then(({ field }) => {
+            assert.strictEqual(field.get('save'), undefined);
+            assert.strictEqual(field.get('fieldName'), 'firstName');
+        });
+    });
+
+    it('throws for an event that isn\'t declared', () => {
+
+        return mountField().then(({ field }) => {
+            assert.throws(() => field.emit('cancel'), /EditableText can't emit the 'cancel' event, because it isn't declared in its static events/);
+        });
+    });
+
+    it('throws when the parent has no method with the handler\'s name', () => {
+
+        return mountField({ save: 'onFieldSave' }).then(({ field }) => {
+            assert.throws(() => field.emit('save'), /EditableText emitted the 'save' event, but DetailsPage has no 'onFieldSave' method to handle it/);
+        });
+    });
+});
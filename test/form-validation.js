@@ -0,0 +1,106 @@
+import assert from 'assert';
+import { mount, reset, flush, Observable } from '../src/testing';
+import Component from '../src/Component';
+import { required, maxLength } from '../src/validators';
+
+describe('validation', () => {
+
+    class EditUser extends Component {
+
+        static get validators() {
+            return {
+                firstName: [ required(), maxLength(5) ],
+                username: [ required(), username => Promise.resolve(username === 'ada' ? 'Already taken' : null) ]
+            };
+        }
+    }
+
+    afterEach(() => reset());
+
+    function mountEditUser(values = {}) {
+        return mount(EditUser, { bindingContext: new Observable(Object.assign({ firstName: '', username: '' }, values)) });
+    }
+
+    it('publishes no errors and isValid as false before any field is validated', () => {
+
+        let form = mountEditUser({ firstName: 'Grace', username: 'grace' });
+
+        assert.strictEqual(form.get('errors.firstName'), null);
+        assert.strictEqual(form.get('errors.username'), null);
+        assert.strictEqual(form.get('isValid'), false);
+    });
+
+    it('publishes the error of a field when it changes, but not those of the untouched fields', () => {
+
+        let form = mountEditUser();
+
+        form.set('firstName', 'Augusta');
+
+        return flush().then(() => {
+            assert.strictEqual(form.get('errors.firstName'), 'Must be at most 5 characters');
+            assert.strictEqual(form.get('errors.username'), null);
+            assert.strictEqual(form.get('isValid'), false);
+        });
+    });
+
+    it('keeps isValid false while an untouched required field is empty', () => {
+
+        let form = mountEditUser();
+
+        form.set('firstName', 'Ada');
+
+        return flush().then(() => {
+            assert.strictEqual(form.get('errors.firstName'), null);
+            assert.strictEqual(form.get('errors.username'), null);
+            assert.strictEqual(form.get('isValid'), false);
+        });
+    });
+
+    it('publishes isValid as true once every field is valid', () => {
+
+        let form = mountEditUser({ username: 'grace' });
+
+        form.set('firstName', 'Grace');
+
+        return flush().then(() => assert.strictEqual(form.get('isValid'), true));
+    });
+
+    it('validates every field via validate()', () => {
+
+        let form = mountEditUser({ firstName: 'Ada', username: 'ada' });
+
+        return form.validate()
+        .then(({ isValid, errors }) => {
+
+            assert.strictEqual(isValid, false);
+            assert.deepStrictEqual(errors, { firstName: null, username: 'Already taken' });
+            assert.strictEqual(form.get('errors.username'), 'Already taken');
+
+            return flush();
+        })
+        .then(() => assert.strictEqual(form.get('isValid'), false));
+    });
+
+    it('rejects validate() for fields without validators', () => {
+
+        let form = mountEditUser();
+
+        return form.validate([ 'lastName' ])
+        .then(() => assert.fail('The promise was resolved.'), error => assert.strictEqual(error.message, 'EditUser has no validators for \'lastName\'.'));
+    });
+
+    it('doesn\'t validate on change when validateOnChange is false', () => {
+
+        class EditUserOnSave extends EditUser {
+            static get validateOnChange() {
+                return false;
+            }
+        }
+
+        let form = mount(EditUserOnSave, { bindingContext: new Observable({ firstName: '' }) });
+
+        form.set('firstName', 'Augusta');
+
+        return flush().then(() => assert.strictEqual(form.get('errors.firstName'), null));
+    });
+});
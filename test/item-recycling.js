@@ -0,0 +1,221 @@
+import assert from 'assert';
+import { mount, reset, flush, getModuleExports, topmost, Observable, View, Page } from '../src/testing';
+import Component from '../src/Component';
+
+describe('item views', () => {
+
+    let calls;
+
+    class ListPage extends Component {}
+
+    class Row extends Component {
+        init() {
+            calls.push([ 'init', this.get('name') ]);
+        }
+        dispose() {
+            calls.push([ 'dispose' ]);
+        }
+    }
+
+    beforeEach(() => calls = []);
+    afterEach(() => reset());
+
+    function addRow(parentView, item) {
+
+        let view = new View();
+        view.bindingContext = item;
+        view.on(View.loadedEvent, getModuleExports(Row).onLoaded);
+        parentView.addChild(view);
+        return view;
+    }
+
+    it('initializes a component whose view is added after its page has loaded', () => {
+
+        let page = mount(ListPage),
+            view = addRow(page.view, new Observable({ name: 'Milk' })),
+            row = Component.findByView(view);
+
+        return flush().then(() => {
+
+            assert.strictEqual(row._initState, 'initialized');
+            assert.strictEqual(row.parent, page);
+            assert.deepStrictEqual(calls, [ [ 'init', 'Milk' ] ]);
+        });
+    });
+
+    it('initializes the components of a subtree added after its page has loaded outside-in', () => {
+
+        class Outer extends Component {
+            init() {
+                calls.push('outer');
+            }
+        }
+        class Inner extends Component {
+            init() {
+                calls.push('inner');
+            }
+        }
+
+        let page = mount(ListPage),
+            outerView = new View(),
+            innerView = new View();
+
+        outerView.on(View.loadedEvent, getModuleExports(Outer).onLoaded);
+        innerView.on(View.loadedEvent, getModuleExports(Inner).onLoaded);
+        outerView.addChild(innerView);
+        page.view.addChild(outerView);
+
+        return flush().then(() => {
+
+            assert.deepStrictEqual(calls, [ 'outer', 'inner' ]);
+            assert.strictEqual(Component.findByView(innerView).parent, Component.findByView(outerView));
+        });
+    });
+
+    it('initializes the components of views that are part of the page when it loads only once', () => {
+
+        let page = new Page();
+
+        page.on(Page.navigatingToEvent, getModuleExports(ListPage).onNavigatingTo);
+        addRow(page, new Observable({ name: 'Milk' }));
+        topmost()._showPage(page);
+
+        assert.deepStrictEqual(calls, [ [ 'init', 'Milk' ] ]);
+
+        return flush().then(() => assert.deepStrictEqual(calls, [ [ 'init', 'Milk' ] ]));
+    });
+
+    it('replaces the component when its view is recycled for another item', () => {
+
+        let page = mount(ListPage),
+            view = addRow(page.view, new Observable({ name: 'Milk' }));
+
+        return flush().then(() => {
+
+            let row = Component.findByView(view);
+            view.bindingContext = new Observable({ name: 'Eggs' });
+
+            return flush().then(() => {
+
+                let newRow = Component.findByView(view);
+
+                assert.notStrictEqual(newRow, row);
+                assert.strictEqual(row.isDisposed, true);
+                assert.strictEqual(newRow._initState, 'initialized');
+                assert.deepStrictEqual(calls, [ [ 'init', 'Milk' ], [ 'dispose' ], [ 'init', 'Eggs' ] ]);
+            });
+        });
+    });
+
+    it('replaces the component when its view is recycled before the Promise returned by init() settles', () => {
+
+        let resolvers = [];
+
+        class LoadingRow extends Component {
+            init() {
+                let name = this.get('name');
+                return new Promise(resolve => resolvers.push(resolve)).then(() => calls.push([ 'loaded', name ]));
+            }
+            onItemChanged(newItem) {
+                calls.push([ 'onItemChanged', newItem.get('name') ]);
+            }
+        }
+
+        let page = mount(ListPage),
+            view = new View(),
+            eggs = new Observable({ name: 'Eggs' });
+
+        view.bindingContext = new Observable({ name: 'Milk' });
+        view.on(View.loadedEvent, getModuleExports(LoadingRow).onLoaded);
+        page.view.addChild(view);
+
+        return flush().then(() => {
+
+            let row = Component.findByView(view);
+            view.bindingContext = eggs;
+
+            return flush().then(() => {
+
+                let newRow = Component.findByView(view);
+
+                assert.notStrictEqual(newRow, row);
+                assert.strictEqual(row.isDisposed, true);
+                assert.strictEqual(newRow.bindingContext, eggs);
+
+                resolvers.forEach(resolve => resolve());
+                return flush();
+            })
+            .then(() => assert.deepStrictEqual(calls, [ [ 'loaded', 'Milk' ], [ 'loaded', 'Eggs' ] ]));
+        });
+    });
+
+    it('doesn\'t apply a resource loaded for the old item when the view is recycled before it loads', () => {
+
+        let resolvers = [];
+
+        class DetailRow extends Component {
+            static get resources() {
+                return {
+                    detail(component) {
+                        let name = component.get('name');
+                        return new Promise(resolve => resolvers.push(() => resolve(`detail of ${name}`)));
+                    }
+                };
+            }
+            onItemChanged() {
+                calls.push([ 'onItemChanged' ]);
+            }
+        }
+
+        let page = mount(ListPage),
+            view = new View(),
+            eggs = new Observable({ name: 'Eggs' });
+
+        view.bindingContext = new Observable({ name: 'Milk' });
+        view.on(View.loadedEvent, getModuleExports(DetailRow).onLoaded);
+        page.view.addChild(view);
+
+        return flush()
+        .then(() => {
+            view.bindingContext = eggs;
+            return flush();
+        })
+        .then(() => {
+            resolvers.forEach(resolve => resolve());
+            return flush();
+        })
+        .then(() => {
+            assert.strictEqual(eggs.get('detail'), 'detail of Eggs');
+            assert.deepStrictEqual(calls, []);
+        });
+    });
+
+    it('keeps the component and calls onItemChanged() when the component overrides it', () => {
+
+        class ReusableRow extends Component {
+            init() {
+                calls.push([ 'init', this.get('name') ]);
+            }
+            onItemChanged(newItem, oldItem) {
+                calls.push([ 'onItemChanged', newItem.get('name'), oldItem.get('name') ]);
+            }
+        }
+
+        let page = mount(ListPage),
+            view = new View();
+
+        view.bindingContext = new Observable({ name: 'Milk' });
+        view.on(View.loadedEvent, getModuleExports(ReusableRow).onLoaded);
+        page.view.addChild(view);
+
+        return flush().then(() => {
+
+            let row = Component.findByView(view);
+            view.bindingContext = new Observable({ name: 'Eggs' });
+
+            assert.strictEqual(Component.findByView(view), row);
+            assert.strictEqual(row.get('name'), 'Eggs');
+            assert.deepStrictEqual(calls, [ [ 'init', 'Milk' ], [ 'onItemChanged', 'Eggs', 'Milk' ] ]);
+        });
+    });
+});
@@ -0,0 +1,63 @@
+import assert from 'assert';
+import { mount, reset, Observable } from '../src/testing';
+import Component from '../src/Component';
+
+describe('get() and set()', () => {
+
+    class DetailsPage extends Component {}
+
+    afterEach(() => reset());
+
+    it('get nested properties of Observables, plain objects and arrays', () => {
+
+        let page = mount(DetailsPage, { bindingContext: new Observable({
+            user: new Observable({ address: { city: 'Oslo' } }),
+            items: [ { name: 'Milk' }, new Observable({ name: 'Eggs' }) ]
+        }) });
+
+        assert.strictEqual(page.get('user.address.city'), 'Oslo');
+        assert.strictEqual(page.get('items[1].name'), 'Eggs');
+        assert.strictEqual(page.get('items[0].name'), 'Milk');
+        assert.strictEqual(page.get('user.phone.number'), undefined);
+    });
+
+    it('set a nested property on the Observable that contains it, so that its bindings are updated', () => {
+
+        let user = new Observable({ address: new Observable({ city: 'Oslo' }) }),
+            page = mount(DetailsPage, { bindingContext: new Observable({ user }) }),
+            changes = [];
+
+        user.get('address').on(Observable.propertyChangeEvent, ({ propertyName, value }) => changes.push([ propertyName, value ]));
+        page.set('user.address.city', 'Bergen');
+
+        assert.deepStrictEqual(changes, [ [ 'city', 'Bergen' ] ]);
+        assert.strictEqual(page.get('user'), user);
+    });
+
+    it('set creates the missing objects along the path as Observables, or arrays before an index', () => {
+
+        let page = mount(DetailsPage);
+
+        page.set('controls.edit', true);
+        page.set('rows[0].label', 'First');
+
+        assert(page.get('controls') instanceof Observable);
+        assert.strictEqual(page.get('controls.edit'), true);
+        assert(Array.isArray(page.get('rows')));
+        assert.strictEqual(page.get('rows[0].label'), 'First');
+    });
+
+    it('set throws when a value along the path isn\'t an object', () => {
+
+        let page = mount(DetailsPage, { bindingContext: new Observable({ user: 'Ada' }) });
+
+        assert.throws(() => page.set('user.name', 'Grace'), /Cannot set 'user.name', because 'user' is not an object/);
+    });
+
+    it('get throws for an invalid key path', () => {
+
+        let page = mount(DetailsPage);
+
+        assert.throws(() => page.get('items[x]'), /Invalid key path 'items\[x\]'/);
+    });
+});
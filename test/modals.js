@@ -0,0 +1,161 @@
+import assert from 'assert';
+import { mount, reset, flush, registerModule } from '../src/testing';
+import Component from '../src/Component';
+
+describe('modals', () => {
+
+    let page,
+        errors;
+
+    class DetailsPage extends Component {}
+    class ConfirmDialog extends Component {}
+
+    beforeEach(() => {
+
+        errors = [];
+        Component.configure({ logger: { error: message => errors.push(message) } });
+        registerModule(Component.router.getModuleName('confirm-dialog'), ConfirmDialog);
+        page = mount(DetailsPage);
+    });
+
+    afterEach(() => {
+        Component.configure({ logger: null });
+        reset();
+    });
+
+    describe('showModal()', () => {
+
+        it('resolves with the modal\'s result', () => {
+
+            let promise = page.showModal({ component: 'confirm-dialog', context: { message: 'Discard?' } });
+
+            return waitForModal()
+            .then(dialog => {
+                assert.strictEqual(dialog.get('message'), 'Discard?');
+                return dialog.closeModal(null, true);
+            })
+            .then(() => promise)
+            .then(result => assert.strictEqual(result, true));
+        });
+
+        it('resolves with undefined when the modal is cancelled', () => {
+
+            let promise = page.showModal({ component: 'confirm-dialog' });
+
+            return waitForModal()
+            .then(dialog => dialog.cancelModal())
+            .then(() => promise)
+            .then(result => assert.strictEqual(result, undefined));
+        });
+
+        it('rejects when the modal passes an error to its callback', () => {
+
+            let promise = page.showModal({ component: 'confirm-dialog' });
+
+            return waitForModal()
+            .then(dialog => dialog.closeModal(new Error('Failed')))
+            .then(() => promise)
+            .then(() => assert.fail('The promise was resolved.'), error => assert.strictEqual(error.message, 'Failed'));
+        });
+
+        it('resolves with the reason the modal was dismissed with the withReason option', () => {
+
+            let resultPromise = page.showModal({ component: 'confirm-dialog', withReason: true });
+
+            return waitForModal()
+            .then(dialog => dialog.closeModal(null, 'yes'))
+            .then(() => resultPromise)
+            .then(outcome => {
+
+                assert.deepStrictEqual(outcome, { reason: 'result', result: 'yes' });
+
+                let cancelPromise = page.showModal({ component: 'confirm-dialog', withReason: true });
+                return waitForModal().then(dialog => dialog.cancelModal()).then(() => cancelPromise);
+            })
+            .then(outcome => assert.deepStrictEqual(outcome, { reason: 'cancel' }));
+        });
+
+        it('closes the modal once the timeout elapses', () => {
+
+            return page.showModal({ component: 'confirm-dialog', timeout: 5, withReason: true })
+            .then(outcome => {
+                assert.deepStrictEqual(outcome, { reason: 'timeout' });
+                assert.strictEqual(Component.currentModal, null);
+            });
+        });
+
+        it('reports a modal that can\'t be closed once the timeout elapses', () => {
+
+            // The modal isn't shown and its page isn't returned, so the modal's page isn't known.
+            page.view.showModal = () => undefined;
+            page.showModal({ component: 'confirm-dialog', timeout: 5 });
+
+            return new Promise(resolve => setTimeout(resolve, 20))
+            .then(() => assert.deepStrictEqual(errors, [ `Closing the modal after its timeout failed: The modal can't be closed, because its page isn't known.` ]));
+        });
+    });
+
+    describe('Component.closeAllModals()', () => {
+
+        it('closes the modals from the top of the stack down', () => {
+
+            let firstPromise = page.showModal({ component: 'confirm-dialog', withReason: true }),
+                secondPromise;
+
+            return waitForModal()
+            .then(dialog => {
+
+                secondPromise = dialog.showModal({ component: 'confirm-dialog', withReason: true });
+                return waitForModal();
+            })
+            .then(secondDialog => {
+
+                assert.strictEqual(Component.currentModal.component, secondDialog);
+                return Component.closeAllModals();
+            })
+            .then(() => Promise.all([ firstPromise, secondPromise ]))
+            .then(outcomes => {
+                assert.deepStrictEqual(outcomes, [ { reason: 'cancel' }, { reason: 'cancel' } ]);
+                assert.strictEqual(Component.currentModal, null);
+            });
+        });
+
+        it('reports the modals that can\'t be closed and closes the others', () => {
+
+            let promise = page.showModal({ component: 'confirm-dialog' });
+
+            return waitForModal()
+            .then(dialog => {
+                dialog.view.showModal = () => undefined;
+                dialog.showModal({ component: 'confirm-dialog' });
+                return flush();
+            })
+            .then(() => Component.closeAllModals())
+            .then(() => promise)
+            .then(result => {
+                assert.strictEqual(result, undefined);
+                assert.deepStrictEqual(errors, [ `Closing the modal 'components/confirm-dialog/confirm-dialog' failed: The modal can't be closed, because its page isn't known.` ]);
+            });
+        });
+    });
+
+    describe('reset()', () => {
+
+        it('forgets the open modals', () => {
+
+            page.showModal({ component: 'confirm-dialog' });
+
+            return waitForModal()
+            .then(() => {
+                reset();
+                assert.strictEqual(Component.currentModal, null);
+            });
+        });
+    });
+});
+
+// `showModal()` validates its options asynchronously before showing the modal.
+function waitForModal() {
+
+    return flush().then(() => Component.currentModal.component);
+}
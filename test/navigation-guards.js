@@ -0,0 +1,204 @@
+import assert from 'assert';
+import { mount, reset, flush, pressBack, topmost, registerModule } from '../src/testing';
+import Component from '../src/Component';
+import Router from '../src/Router';
+
+describe('navigation guards', () => {
+
+    let originalRouter = Component.router,
+        router;
+
+    class ListPage extends Component {}
+    class LoginPage extends Component {}
+
+    class UserDetails extends Component {
+        static canEnter(context) {
+            return Promise.resolve(context.id !== 'admin');
+        }
+    }
+
+    beforeEach(() => {
+        router = new Router();
+        router.addRoutes({ 'user/:id': 'user-details', 'login': 'login' });
+        Component.router = router;
+        registerModule('components/user-details/user-details', UserDetails);
+        registerModule('components/login/login', LoginPage);
+    });
+
+    afterEach(() => {
+        Component.router = originalRouter;
+        delete global.loadModule;
+        reset();
+    });
+
+    function getModuleNames() {
+        return topmost().navigationEntries.map(entry => entry.moduleName);
+    }
+
+    describe('canLeave()', () => {
+
+        it('cancels the navigation when the page\'s component or one nested within it returns false', () => {
+
+            let isDirty = true;
+
+            class EditableText extends Component {
+                canLeave() {
+                    return Promise.resolve(!isDirty);
+                }
+            }
+
+            let page = mount(ListPage);
+            mount(EditableText, { parent: page });
+
+            return flush()
+            .then(() => page.navigate('user/42'))
+            .then(navigated => {
+
+                assert.strictEqual(navigated, false);
+                assert.deepStrictEqual(getModuleNames(), []);
+
+                isDirty = false;
+                return page.goBack();
+            })
+            .then(navigated => {
+                assert.strictEqual(navigated, true);
+                assert.deepStrictEqual(topmost().navigationEntries, [ { back: true } ]);
+            });
+        });
+
+        it('is consulted when Android\'s back button is pressed', () => {
+
+            let isDirty = true;
+
+            class EditPage extends Component {
+                canLeave() {
+                    return !isDirty;
+                }
+            }
+
+            let listPage = mount(ListPage);
+            mount(EditPage);
+            pressBack();
+
+            return flush()
+            .then(() => {
+
+                assert.deepStrictEqual(topmost().navigationEntries, []);
+
+                isDirty = false;
+                pressBack();
+                return flush();
+            })
+            .then(() => {
+                assert.deepStrictEqual(topmost().navigationEntries, [ { back: true } ]);
+                assert.strictEqual(topmost().currentPage, listPage.view);
+            });
+        });
+    });
+
+    describe('canEnter()', () => {
+
+        it('is consulted with the navigation context of the target component', () => {
+
+            let page = mount(ListPage);
+
+            return page.navigate('user/admin')
+            .then(navigated => {
+                assert.strictEqual(navigated, false);
+                return page.navigate('user/42');
+            })
+            .then(navigated => {
+                assert.strictEqual(navigated, true);
+                assert.deepStrictEqual(getModuleNames(), [ 'components/user-details/user-details' ]);
+            });
+        });
+
+        it('rejects the navigation when the target component\'s module can\'t be loaded', () => {
+
+            router.addRoute('settings', 'settings');
+
+            return router.navigate('settings')
+            .then(() => assert.fail('The promise was resolved.'), error => {
+                assert(/Couldn't load the module 'components\/settings\/settings' to check whether it can be entered/.test(error.message));
+                assert.deepStrictEqual(getModuleNames(), []);
+            });
+        });
+
+        it('loads the target component\'s module via NativeScript\'s global.loadModule() when it exists', () => {
+
+            let loadedModuleNames = [];
+
+            global.loadModule = moduleName => {
+                loadedModuleNames.push(moduleName);
+                return { canEnter: () => false };
+            };
+
+            return new Router().navigateToEntry({ moduleName: 'components/user-details/user-details' })
+            .then(navigated => {
+                assert.strictEqual(navigated, false);
+                assert.deepStrictEqual(loadedModuleNames, [ 'components/user-details/user-details' ]);
+            });
+        });
+    });
+
+    describe('Router#addGuard()', () => {
+
+        it('passes the target entry and the current page\'s component to the guards', () => {
+
+            let page = mount(ListPage),
+                calls = [];
+
+            router.addGuard((to, from) => {
+                calls.push([ to.moduleName, from ]);
+            });
+
+            return router.navigate('user/42')
+            .then(navigated => {
+                assert.strictEqual(navigated, true);
+                assert.deepStrictEqual(calls, [ [ 'components/user-details/user-details', page ] ]);
+            });
+        });
+
+        it('cancels the navigation when a guard returns false, without consulting the later guards', () => {
+
+            let isLaterGuardCalled = false;
+
+            router.addGuard(() => Promise.resolve(false));
+            router.addGuard(() => isLaterGuardCalled = true);
+
+            return router.navigate('user/42')
+            .then(navigated => {
+                assert.strictEqual(navigated, false);
+                assert.strictEqual(isLaterGuardCalled, false);
+                assert.deepStrictEqual(getModuleNames(), []);
+            });
+        });
+
+        it('redirects the navigation to the URL a guard returns', () => {
+
+            router.addGuard(to => to.moduleName === 'components/login/login' || 'login');
+
+            return router.navigate('user/42')
+            .then(navigated => {
+                assert.strictEqual(navigated, true);
+                assert.deepStrictEqual(getModuleNames(), [ 'components/login/login' ]);
+            });
+        });
+
+        it('rejects when guards keep redirecting', () => {
+
+            router.addGuard(to => to.moduleName === 'components/login/login' ? 'user/42' : 'login');
+
+            return router.navigate('user/42')
+            .then(() => assert.fail('The promise was resolved.'), error => assert(/Navigation was redirected more than 10 times/.test(error.message)));
+        });
+
+        it('returns a function which removes the guard', () => {
+
+            let removeGuard = router.addGuard(() => false);
+            removeGuard();
+
+            return router.navigate('user/42').then(navigated => assert.strictEqual(navigated, true));
+        });
+    });
+});
@@ -0,0 +1,89 @@
+import assert from 'assert';
+import { mount, reset, flush, topmost, registerModule } from '../src/testing';
+import Component from '../src/Component';
+import Router from '../src/Router';
+
+describe('navigateForResult()', () => {
+
+    let originalRouter = Component.router;
+
+    class ListPage extends Component {}
+    class ColorPicker extends Component {}
+    class LoginPage extends Component {}
+
+    beforeEach(() => {
+        Component.router = new Router();
+        registerModule('color-picker', ColorPicker);
+        registerModule('login', LoginPage);
+    });
+
+    afterEach(() => {
+        Component.router = originalRouter;
+        reset();
+    });
+
+    // Mounts the page that the last navigation entry navigated to, like NativeScript would.
+    function mountNavigatedPage(ComponentClass) {
+
+        let entries = topmost().navigationEntries;
+        return mount(ComponentClass, { navigationContext: entries[entries.length - 1].context });
+    }
+
+    it('resolves with the result once the page finishes', () => {
+
+        let list = mount(ListPage),
+            promise = list.navigateForResult({ moduleName: 'color-picker', context: { color: 'red' } });
+
+        return flush()
+        .then(() => {
+
+            let picker = mountNavigatedPage(ColorPicker);
+
+            assert.strictEqual(picker.get('color'), 'red');
+            return picker.finish('blue');
+        })
+        .then(() => promise)
+        .then(outcome => {
+
+            assert.deepStrictEqual(outcome, { reason: 'result', result: 'blue' });
+            assert.strictEqual(topmost().currentPage, list.view);
+        });
+    });
+
+    it('resolves with a cancellation when the page is navigated back from without finishing', () => {
+
+        let list = mount(ListPage),
+            promise = list.navigateForResult({ moduleName: 'color-picker' });
+
+        return flush()
+        .then(() => {
+            mountNavigatedPage(ColorPicker);
+            topmost().goBack();
+            return promise;
+        })
+        .then(outcome => assert.deepStrictEqual(outcome, { reason: 'cancel' }));
+    });
+
+    it('resolves with a cancellation when a guard cancels the navigation', () => {
+
+        Component.router.addGuard(() => false);
+
+        return mount(ListPage).navigateForResult({ moduleName: 'color-picker' })
+        .then(outcome => {
+            assert.deepStrictEqual(outcome, { reason: 'cancel' });
+            assert.deepStrictEqual(topmost().navigationEntries, []);
+        });
+    });
+
+    it('resolves with a cancellation when a guard redirects the navigation to another page', () => {
+
+        Component.router.addGuard(to => to.moduleName === 'login' || { moduleName: 'login' });
+
+        return mount(ListPage).navigateForResult({ moduleName: 'color-picker' })
+        .then(outcome => {
+            assert.deepStrictEqual(outcome, { reason: 'cancel' });
+            assert.deepStrictEqual(topmost().navigationEntries, [ { moduleName: 'login' } ]);
+        });
+    });
+});
+
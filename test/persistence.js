@@ -0,0 +1,163 @@
+import assert from 'assert';
+import { mount, unmount, reset, applicationSettings, Observable } from '../src/testing';
+import Component from '../src/Component';
+import MemoryStorage from '../src/MemoryStorage';
+
+describe('persist', () => {
+
+    let originalOnError = Component.onError;
+
+    class ComposeMessage extends Component {
+
+        static get persist() {
+            return { storageKey: 'compose-message', keys: [ 'draft' ] };
+        }
+    }
+
+    afterEach(() => {
+        Component.onError = originalOnError;
+        Component.configure({ storage: null });
+        reset();
+    });
+
+    it('saves the properties via application-settings whenever they change, including nested changes', () => {
+
+        let composer = mount(ComposeMessage, { bindingContext: new Observable({ draft: new Observable({ body: 'Hi' }) }) });
+
+        composer.set('draft.body', 'Hello');
+
+        assert.deepStrictEqual(JSON.parse(applicationSettings.getString('nativescript-component:compose-message')), {
+            version: 1,
+            state: { draft: { body: 'Hello' } }
+        });
+    });
+
+    it('restores the properties as Observables before init()', () => {
+
+        let restoredBody;
+
+        class RestoringComposer extends ComposeMessage {
+            init() {
+                restoredBody = this.get('draft.body');
+            }
+        }
+
+        applicationSettings.setString('nativescript-component:compose-message', JSON.stringify({ version: 1, state: { draft: { body: 'Hello' } } }));
+        let composer = mount(RestoringComposer);
+
+        assert.strictEqual(restoredBody, 'Hello');
+        assert(composer.get('draft') instanceof Observable);
+    });
+
+    it('saves the state of each instance under its key', () => {
+
+        class KeyedComposer extends Component {
+            static get persist() {
+                return { storageKey: 'compose-message', keys: [ 'draft' ], key: component => component.view.threadId };
+            }
+        }
+
+        let composer = mount(KeyedComposer, { attributes: { threadId: 42 } });
+        composer.set('draft', 'Hello');
+
+        assert.strictEqual(applicationSettings.hasKey('nativescript-component:compose-message:42'), true);
+    });
+
+    it('doesn\'t save the state when other properties change', () => {
+
+        let storage = new MemoryStorage(),
+            saveCount = 0,
+            setItem = storage.setItem;
+
+        storage.setItem = function () {
+            saveCount++;
+            return setItem.apply(this, arguments);
+        };
+        Component.configure({ storage });
+
+        let context = new Observable({ draft: new Observable({ body: 'Hi' }), recipient: 'Ada' }),
+            composer = mount(ComposeMessage, { bindingContext: context });
+
+        // A listener whose `thisArg` is the binding context, which the draft's enumerable `_observers` reference.
+        context.get('draft').on(Observable.propertyChangeEvent, () => {}, context);
+        composer.set('recipient', 'Grace');
+
+        assert.strictEqual(saveCount, 0);
+    });
+
+    it('migrates state saved with another version and saves it with the current version', () => {
+
+        class MigratingComposer extends Component {
+            static get persist() {
+                return {
+                    storageKey: 'compose-message',
+                    keys: [ 'draft' ],
+                    version: 2,
+                    migrate: (state, fromVersion) => fromVersion === 1 ? { draft: { body: state.draft } } : null
+                };
+            }
+        }
+
+        applicationSettings.setString('nativescript-component:compose-message', JSON.stringify({ version: 1, state: { draft: 'Hello' } }));
+        let composer = mount(MigratingComposer);
+
+        assert.strictEqual(composer.get('draft.body'), 'Hello');
+        assert.deepStrictEqual(JSON.parse(applicationSettings.getString('nativescript-component:compose-message')), {
+            version: 2,
+            state: { draft: { body: 'Hello' } }
+        });
+    });
+
+    it('accepts an array of property names and stores them under the class name', () => {
+
+        class SearchPage extends Component {
+            static get persist() {
+                return [ 'draft', 'filters' ];
+            }
+        }
+
+        let page = mount(SearchPage);
+        page.set('filters', { unread: true });
+
+        assert.deepStrictEqual(JSON.parse(applicationSettings.getString('nativescript-component:SearchPage')), {
+            version: 1,
+            state: { filters: { unread: true } }
+        });
+    });
+
+    it('requires a storage key for an anonymous class', () => {
+
+        let reportedErrors = [];
+
+        class AnonymousComposer extends Component {
+            static get persist() {
+                return [ 'draft' ];
+            }
+        }
+
+        // Like a class expression that isn't assigned to anything.
+        Object.defineProperty(AnonymousComposer, 'name', { value: '' });
+        Component.onError = error => reportedErrors.push(error);
+        mount(AnonymousComposer);
+
+        assert.strictEqual(reportedErrors.length, 1);
+        assert(/An anonymous component class.persist must have a 'storageKey' string/.test(reportedErrors[0].message));
+    });
+
+    it('saves to the configured storage and removes the state via clearPersistedState()', () => {
+
+        let storage = new MemoryStorage();
+        Component.configure({ storage });
+
+        let composer = mount(ComposeMessage);
+        composer.set('draft', 'Hello');
+
+        assert.strictEqual(storage.getItem('nativescript-component:compose-message'), JSON.stringify({ version: 1, state: { draft: 'Hello' } }));
+
+        composer.clearPersistedState();
+        unmount(composer);
+
+        assert.strictEqual(storage.getItem('nativescript-component:compose-message'), undefined);
+        assert.strictEqual(applicationSettings.hasKey('nativescript-component:compose-message'), false);
+    });
+});
@@ -0,0 +1,131 @@
+import assert from 'assert';
+import { mount, reset, flush } from '../src/testing';
+import Component from '../src/Component';
+
+describe('props', () => {
+
+    let originalOnError = Component.onError,
+        reportedErrors,
+        warnings;
+
+    class ListPage extends Component {}
+
+    class ItemList extends Component {
+
+        static get props() {
+            return {
+                count: { type: 'number', default: 0 },
+                editable: 'boolean',
+                filter: 'json',
+                tags: { type: 'array', default: () => [] }
+            };
+        }
+    }
+
+    beforeEach(() => {
+        reportedErrors = [];
+        warnings = [];
+        Component.onError = error => reportedErrors.push(error);
+        Component.configure({ logger: { warn: message => warnings.push(message) } });
+    });
+
+    afterEach(() => {
+        Component.onError = originalOnError;
+        Component.configure({ logger: null });
+        reset();
+    });
+
+    it('coerces the XML attribute strings to the declared types', () => {
+
+        let list = mount(ItemList, { parent: mount(ListPage), attributes: { count: '3', editable: 'false', filter: '{"done":true}' } });
+
+        return flush().then(() => {
+            assert.strictEqual(list.get('count'), 3);
+            assert.strictEqual(list.get('editable'), false);
+            assert.deepStrictEqual(list.get('filter'), { done: true });
+        });
+    });
+
+    it('applies the default values, creating them for each instance', () => {
+
+        let page = mount(ListPage),
+            first = mount(ItemList, { parent: page }),
+            second = mount(ItemList, { parent: page });
+
+        return flush().then(() => {
+            assert.strictEqual(first.get('count'), 0);
+            assert.deepStrictEqual(first.get('tags'), []);
+            assert.notStrictEqual(first.get('tags'), second.get('tags'));
+            assert.strictEqual(first.get('editable'), undefined);
+        });
+    });
+
+    it('applies the navigation context properties of a page', () => {
+
+        class ItemsPage extends ItemList {}
+
+        let page = mount(ItemsPage, { navigationContext: { count: 2, tags: [ 'new' ] } });
+
+        assert.strictEqual(page.get('count'), 2);
+        assert.deepStrictEqual(page.get('tags'), [ 'new' ]);
+    });
+
+    it('reports a missing required prop before init()', () => {
+
+        let isInitialized = false;
+
+        class UserCard extends Component {
+
+            static get props() {
+                return { user: { type: 'object', required: true } };
+            }
+
+            init() {
+                isInitialized = true;
+            }
+        }
+
+        mount(UserCard, { parent: mount(ListPage) });
+
+        return flush().then(() => {
+            assert.strictEqual(isInitialized, false);
+            assert.strictEqual(reportedErrors.length, 1);
+            assert(/UserCard: missing required prop 'user'/.test(reportedErrors[0].message));
+        });
+    });
+
+    it('reports a value that can\'t be coerced to the declared type', () => {
+
+        mount(ItemList, { parent: mount(ListPage), attributes: { count: 'three' } });
+
+        return flush().then(() => {
+            assert.strictEqual(reportedErrors.length, 1);
+            assert(/ItemList: invalid value 'three' for prop 'count' of type 'number': expected a number/.test(reportedErrors[0].message));
+        });
+    });
+
+    it('warns about XML attributes that aren\'t declared', () => {
+
+        mount(ItemList, { parent: mount(ListPage), attributes: { cuont: '3' } });
+
+        return flush().then(() => {
+            assert.deepStrictEqual(warnings, [ 'ItemList was passed the XML attribute \'cuont\', which isn\'t declared in its props.' ]);
+        });
+    });
+
+    it('rejects an unknown type', () => {
+
+        class BrokenList extends Component {
+            static get props() {
+                return { count: 'integer' };
+            }
+        }
+
+        mount(BrokenList, { parent: mount(ListPage) });
+
+        return flush().then(() => {
+            assert.strictEqual(reportedErrors.length, 1);
+            assert(/Invalid type 'integer' declared for prop 'count'/.test(reportedErrors[0].message));
+        });
+    });
+});
@@ -0,0 +1,83 @@
+import assert from 'assert';
+import { mount, reset, flush } from '../src/testing';
+import Component from '../src/Component';
+
+describe('provide() and inject()', () => {
+
+    let originalOnError = Component.onError,
+        injected;
+
+    class DetailsPage extends Component {
+        init() {
+            this.provide('api', 'page api');
+            this.provide('theme', 'dark');
+        }
+    }
+
+    class UserCard extends Component {
+        init() {
+            this.provide('api', 'card api');
+        }
+    }
+
+    class UserField extends Component {
+        init() {
+            injected = { api: this.inject('api'), theme: this.inject('theme') };
+        }
+    }
+
+    beforeEach(() => injected = null);
+
+    afterEach(() => {
+        Component.onError = originalOnError;
+        reset();
+    });
+
+    it('injects the value provided by the closest ancestor at any depth', () => {
+
+        let page = mount(DetailsPage),
+            card = mount(UserCard, { parent: page });
+
+        mount(UserField, { parent: card });
+
+        return flush().then(() => assert.deepStrictEqual(injected, { api: 'card api', theme: 'dark' }));
+    });
+
+    it('falls back to the values provided for the app via Component.provide()', () => {
+
+        class PlainPage extends Component {}
+
+        Component.provide('api', 'app api');
+        Component.provide('theme', 'light');
+        mount(UserField, { parent: mount(PlainPage) });
+
+        return flush().then(() => assert.deepStrictEqual(injected, { api: 'app api', theme: 'light' }));
+    });
+
+    it('throws when no ancestor provides the key', () => {
+
+        let reportedErrors = [];
+
+        class PlainPage extends Component {}
+
+        Component.onError = error => reportedErrors.push(error);
+        mount(UserField, { parent: mount(PlainPage) });
+
+        return flush().then(() => {
+            assert.strictEqual(reportedErrors.length, 1);
+            assert(/UserField tried to inject 'api', but no ancestor component provides it/.test(reportedErrors[0].message));
+        });
+    });
+
+    it('forgets the values provided for the app on reset()', () => {
+
+        class PlainPage extends Component {}
+
+        Component.provide('api', 'app api');
+        reset();
+
+        let page = mount(PlainPage);
+
+        assert.throws(() => page.inject('api'), /PlainPage tried to inject 'api'/);
+    });
+});
@@ -0,0 +1,92 @@
+import assert from 'assert';
+import { mount, unmount, reset, flush, Observable, View } from '../src/testing';
+import Component from '../src/Component';
+import { toPlainValue } from '../src/component-utils';
+
+describe('component registry', () => {
+
+    class DetailsPage extends Component {}
+    class UserCard extends Component {}
+
+    afterEach(() => reset());
+
+    describe('Component.getInstances()', () => {
+
+        it('returns the live instances of the class', () => {
+
+            let page = mount(DetailsPage),
+                card = mount(UserCard, { parent: page });
+
+            assert.deepStrictEqual(Component.getInstances(), [ page, card ]);
+            assert.deepStrictEqual(UserCard.getInstances(), [ card ]);
+
+            unmount(card);
+            assert.deepStrictEqual(UserCard.getInstances(), []);
+        });
+    });
+
+    describe('Component.findByView()', () => {
+
+        it('returns the component whose template contains the view', () => {
+
+            let page = mount(DetailsPage),
+                card = mount(UserCard, { parent: page }),
+                label = new View();
+
+            card.view.addChild(label);
+
+            assert.strictEqual(Component.findByView(label), card);
+            assert.strictEqual(Component.findByView(page.view), page);
+            assert.strictEqual(Component.findByView(new View()), null);
+        });
+    });
+
+    describe('Component.dumpTree()', () => {
+
+        it('describes the component hierarchy with the data keys of each binding context', () => {
+
+            let page = mount(DetailsPage, { bindingContext: new Observable({ title: 'Details' }) });
+
+            mount(UserCard, { parent: page, bindingContext: new Observable({ user: new Observable({ name: 'Ada' }) }) });
+
+            return flush().then(() => {
+
+                let [ pageNode ] = Component.dumpTree();
+
+                assert.strictEqual(pageNode.name, 'DetailsPage');
+                assert.strictEqual(pageNode.initState, 'initialized');
+                assert.strictEqual(pageNode.viewCount, 1);
+                assert.deepStrictEqual(pageNode.bindingContextKeys, [ 'title' ]);
+                assert.deepStrictEqual(pageNode.children.map(node => [ node.name, node.bindingContextKeys ]), [ [ 'UserCard', [ 'user' ] ] ]);
+            });
+        });
+    });
+
+    describe('Component.enableLifecycleLog()', () => {
+
+        it('records the lifecycle events until the log is disabled', () => {
+
+            let events = [];
+
+            Component.enableLifecycleLog({ onEvent: event => events.push(event.event) });
+            unmount(mount(DetailsPage));
+
+            assert.deepStrictEqual(Component.lifecycleLog.map(event => event.event), events);
+            assert(events.includes('initialized'));
+            assert(events.includes('disposed'));
+
+            Component.disableLifecycleLog();
+            assert.deepStrictEqual(Component.lifecycleLog, []);
+        });
+    });
+
+    describe('toPlainValue()', () => {
+
+        it('converts Observables to plain objects with only their data properties', () => {
+
+            let observable = new Observable({ user: new Observable({ name: 'Ada' }), tags: [ new Observable({ name: 'new' }) ] });
+
+            assert.deepStrictEqual(toPlainValue(observable), { user: { name: 'Ada' }, tags: [ { name: 'new' } ] });
+        });
+    });
+});
@@ -0,0 +1,135 @@
+import assert from 'assert';
+import { mount, unmount, reset, flush } from '../src/testing';
+import Component from '../src/Component';
+
+describe('resources', () => {
+
+    let originalOnError = Component.onError,
+        requests,
+        warnings;
+
+    // Returns a Promise for the user that the test settles via `requests`.
+    function getUser(id) {
+        return new Promise((resolve, reject) => requests.push({ id, resolve, reject }));
+    }
+
+    class UserPage extends Component {
+        static get resources() {
+            return { user: component => getUser(component.get('userId')) };
+        }
+    }
+
+    beforeEach(() => {
+        requests = [];
+        warnings = [];
+        Component.configure({ logger: { warn: message => warnings.push(message) } });
+    });
+
+    afterEach(() => {
+        Component.onError = originalOnError;
+        Component.configure({ logger: null });
+        reset();
+    });
+
+    it('loads the resources and sets their loading state', () => {
+
+        let page = mount(UserPage, { navigationContext: { userId: 42 } });
+
+        assert.deepStrictEqual(requests.map(({ id }) => id), [ 42 ]);
+        assert.strictEqual(page.get('loading.user'), true);
+        assert.strictEqual(page.get('error.user'), null);
+
+        requests[0].resolve('Ada');
+
+        return flush().then(() => {
+            assert.strictEqual(page.get('user'), 'Ada');
+            assert.strictEqual(page.get('loading.user'), false);
+        });
+    });
+
+    it('sets the error of a resource that fails to load and logs a warning', () => {
+
+        let page = mount(UserPage);
+
+        requests[0].reject(new Error('Offline'));
+
+        return flush().then(() => {
+            assert.strictEqual(page.get('error.user').message, 'Offline');
+            assert.strictEqual(page.get('loading.user'), false);
+            assert.deepStrictEqual(warnings, [ 'UserPage: loading the \'user\' resource failed: Offline' ]);
+        });
+    });
+
+    it('initializes the nested components once the resources have loaded', () => {
+
+        let isInitialized = false;
+
+        class UserField extends Component {
+            init() {
+                isInitialized = true;
+            }
+        }
+
+        let page = mount(UserPage);
+        mount(UserField, { parent: page });
+
+        return flush()
+        .then(() => {
+            assert.strictEqual(isInitialized, false);
+            requests[0].resolve('Ada');
+            return flush();
+        })
+        .then(() => assert.strictEqual(isInitialized, true));
+    });
+
+    it('ignores the result of an earlier load once the resource is reloaded', () => {
+
+        let page = mount(UserPage),
+            reloaded = page.reload('user');
+
+        requests[1].resolve('Grace');
+        requests[0].resolve('Ada');
+
+        return reloaded
+        .then(user => {
+            assert.strictEqual(user, 'Grace');
+            return flush();
+        })
+        .then(() => assert.strictEqual(page.get('user'), 'Grace'));
+    });
+
+    it('ignores the results that arrive after the view is unloaded', () => {
+
+        let page = mount(UserPage),
+            { bindingContext } = page;
+
+        unmount(page);
+        requests[0].resolve('Ada');
+
+        return flush().then(() => assert.strictEqual(bindingContext.get('user'), undefined));
+    });
+
+    it('throws when reloading a resource that isn\'t declared', () => {
+
+        let page = mount(UserPage);
+
+        assert.throws(() => page.reload('posts'), /UserPage can't reload 'posts', because it isn't one of its static resources/);
+    });
+
+    it('reports a resource that isn\'t a function', () => {
+
+        let reportedErrors = [];
+
+        class BrokenPage extends Component {
+            static get resources() {
+                return { user: 'Ada' };
+            }
+        }
+
+        Component.onError = error => reportedErrors.push(error);
+        mount(BrokenPage);
+
+        assert.strictEqual(reportedErrors.length, 1);
+        assert(/BrokenPage.resources.user must be a function/.test(reportedErrors[0].message));
+    });
+});
@@ -0,0 +1,128 @@
+import assert from 'assert';
+import { mount, reset, topmost } from '../src/testing';
+import Component from '../src/Component';
+import Router from '../src/Router';
+
+describe('Router', () => {
+
+    let originalRouter = Component.router,
+        router;
+
+    class ListPage extends Component {}
+
+    beforeEach(() => {
+        router = new Router({ loadModule: () => null });
+        router.addRoutes({
+            'users': 'user-list',
+            'user/:id': { component: 'user-details', name: 'user' },
+            'user/:id/posts/:postId': { component: 'post-details', name: 'post' }
+        });
+        Component.router = router;
+    });
+
+    afterEach(() => {
+        Component.router = originalRouter;
+        reset();
+    });
+
+    describe('resolve()', () => {
+
+        it('matches a URL to a route and parses its parameters and query', () => {
+
+            assert.deepStrictEqual(router.resolve('user/42/posts/a%20b?tab=comments&sort=new+first'), {
+                name: 'post',
+                component: 'post-details',
+                moduleName: 'components/post-details/post-details',
+                params: { id: '42', postId: 'a b' },
+                query: { tab: 'comments', sort: 'new first' }
+            });
+            assert.strictEqual(router.resolve('/users/').name, 'user-list');
+            assert.strictEqual(router.resolve('user'), null);
+        });
+
+        it('uses the configured components root and module name format', () => {
+
+            router.configure({ componentsRoot: 'views/' });
+            assert.strictEqual(router.resolve('users').moduleName, 'views/user-list/user-list');
+
+            router.configure({ moduleNameFormat: (name, root) => `${root}/${name}` });
+            assert.strictEqual(router.getModuleName('user-list'), 'views/user-list');
+        });
+    });
+
+    describe('url()', () => {
+
+        it('builds the URL of a named route', () => {
+
+            assert.strictEqual(router.url('user', { id: 42 }, { tab: 'posts', filter: null }), 'user/42?tab=posts');
+            assert.strictEqual(router.url('post', { id: 'a/b', postId: 7 }), 'user/a%2Fb/posts/7');
+        });
+
+        it('throws for an unknown route or a missing parameter', () => {
+
+            assert.throws(() => router.url('account'), /No route named 'account' has been registered/);
+            assert.throws(() => router.url('user'), /Can't build a URL for the 'user' route, because the 'id' parameter is missing/);
+        });
+    });
+
+    it('rejects routes with a name that has already been registered', () => {
+        assert.throws(() => router.addRoute('people', 'user-list'), /A route named 'user-list' has already been registered/);
+    });
+
+    describe('navigate()', () => {
+
+        it('navigates with the parameters and query values as the navigation context', () => {
+
+            return router.navigate('user/42?tab=posts', { query: { sort: 'new' }, context: { source: 'list' }, animated: false })
+            .then(navigated => {
+
+                assert.strictEqual(navigated, true);
+                assert.deepStrictEqual(topmost().navigationEntries, [ {
+                    moduleName: 'components/user-details/user-details',
+                    context: { source: 'list', tab: 'posts', sort: 'new', id: '42' },
+                    animated: false
+                } ]);
+            });
+        });
+
+        it('rejects for a URL that no route matches', () => {
+
+            return router.navigate('account')
+            .then(() => assert.fail('The promise was resolved.'), error => assert.strictEqual(error.message, 'No route matches the URL \'account\'.'));
+        });
+
+        it('sets the navigation context\'s keys on the binding context literally, rather than as key paths', () => {
+
+            class UserDetails extends Component {}
+
+            return router.navigate('user/42?tags[]=new&sort.by=name')
+            .then(() => {
+
+                let page = mount(UserDetails, { navigationContext: topmost().navigationEntries[0].context });
+
+                assert.strictEqual(page.bindingContext.get('tags[]'), 'new');
+                assert.strictEqual(page.bindingContext.get('sort.by'), 'name');
+                assert.strictEqual(page.bindingContext.get('sort'), undefined);
+            });
+        });
+    });
+
+    describe('Component#navigate()', () => {
+
+        it('navigates to a URL, a component name or a module name', () => {
+
+            let page = mount(ListPage);
+
+            return page.navigate('user/42')
+            .then(() => page.navigate({ component: 'user-list' }))
+            .then(() => page.navigate('settings/settings'))
+            .then(() => {
+                assert.deepStrictEqual(topmost().navigationEntries.map(entry => entry.moduleName), [
+                    'components/user-details/user-details',
+                    'components/user-list/user-list',
+                    'settings/settings'
+                ]);
+            });
+        });
+    });
+});
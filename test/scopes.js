@@ -0,0 +1,121 @@
+import assert from 'assert';
+import { mount, unmount, reset, flush, Page } from '../src/testing';
+import Component from '../src/Component';
+
+describe('scopes', () => {
+
+    let initCount;
+
+    class DetailsPage extends Component {}
+
+    class CartBadge extends Component {
+
+        static get scope() {
+            return 'page';
+        }
+
+        init() {
+            initCount++;
+        }
+    }
+
+    beforeEach(() => initCount = 0);
+    afterEach(() => reset());
+
+    describe('\'page\'', () => {
+
+        it('shares one instance and binding context between the views within a page', () => {
+
+            let page = mount(DetailsPage),
+                first = mount(CartBadge, { parent: page }),
+                second;
+
+            return flush()
+            .then(() => {
+                second = mount(CartBadge, { parent: page, attributes: { id: 'second' } });
+                return flush();
+            })
+            .then(() => {
+                assert.strictEqual(second, first);
+                assert.strictEqual(initCount, 1);
+                assert.strictEqual(page.view.getViewById('second').bindingContext, first.bindingContext);
+            });
+        });
+
+        it('creates an instance for each page', () => {
+
+            let otherPage = new Page(),
+                first = mount(CartBadge, { parent: mount(DetailsPage) });
+
+            otherPage.onLoaded();
+
+            let second = mount(CartBadge, { parent: otherPage });
+
+            assert.notStrictEqual(second, first);
+            assert.strictEqual(first.isDisposed, false);
+        });
+
+        it('disposes the instance once the last of its views is unloaded', () => {
+
+            let page = mount(DetailsPage),
+                badge = mount(CartBadge, { parent: page });
+
+            mount(CartBadge, { parent: page, attributes: { id: 'second' } });
+
+            return flush().then(() => {
+
+                unmount(badge);
+                assert.strictEqual(badge.isDisposed, false);
+                assert.strictEqual(badge.view, page.view.getViewById('second'));
+
+                unmount(badge);
+                assert.strictEqual(badge.isDisposed, true);
+            });
+        });
+    });
+
+    describe('instanceKey()', () => {
+
+        class UserCard extends Component {
+            static instanceKey(view) {
+                return view.userId;
+            }
+        }
+
+        it('shares an instance between the views with the same key', () => {
+
+            let page = mount(DetailsPage),
+                ada = mount(UserCard, { parent: page, attributes: { userId: 1 } }),
+                grace = mount(UserCard, { parent: page, attributes: { userId: 2 } });
+
+            return flush().then(() => {
+                assert.strictEqual(mount(UserCard, { parent: page, attributes: { userId: 1 } }), ada);
+                assert.notStrictEqual(grace, ada);
+            });
+        });
+    });
+
+    describe('\'app\'', () => {
+
+        class SettingsPage extends Component {
+
+            static get scope() {
+                return 'app';
+            }
+
+            init() {
+                initCount++;
+            }
+        }
+
+        it('keeps the instance for the next view and initializes it again', () => {
+
+            let settings = mount(SettingsPage);
+            unmount(settings);
+
+            assert.strictEqual(mount(SettingsPage), settings);
+            assert.strictEqual(initCount, 2);
+            assert.strictEqual(settings.isDisposed, false);
+        });
+    });
+});
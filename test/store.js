@@ -0,0 +1,103 @@
+import assert from 'assert';
+import { mount, unmount, reset, Observable } from '../src/testing';
+import Component from '../src/Component';
+import Store from '../src/Store';
+
+describe('Store', () => {
+
+    function createStore() {
+        return new Store({
+            state: { session: { user: null }, cart: { items: [] } },
+            actions: {
+                logIn({ set }, name) {
+                    return Promise.resolve().then(() => set('session.user', { name }));
+                },
+                addItem({ get, set }, item) {
+                    set('cart.items', get('cart.items').concat(item));
+                    return get('cart.items').length;
+                },
+                fail() {
+                    throw new Error('Offline');
+                }
+            }
+        });
+    }
+
+    afterEach(() => reset());
+
+    it('converts the state to Observables', () => {
+
+        let store = createStore();
+
+        assert(store.state instanceof Observable);
+        assert(store.get('session') instanceof Observable);
+        assert.strictEqual(store.get('session.user'), null);
+    });
+
+    it('resolves dispatch() with the value returned by the action', () => {
+
+        let store = createStore();
+
+        return store.dispatch('addItem', 'Milk')
+        .then(count => {
+            assert.strictEqual(count, 1);
+            return store.dispatch('logIn', 'Ada');
+        })
+        .then(() => {
+            assert(store.get('session.user') instanceof Observable);
+            assert.strictEqual(store.get('session.user.name'), 'Ada');
+        });
+    });
+
+    it('rejects dispatch() for unknown and failing actions', () => {
+
+        let store = createStore();
+
+        return store.dispatch('logOut')
+        .then(() => assert.fail('The promise was resolved.'), error => {
+            assert.strictEqual(error.message, 'The store has no action named \'logOut\'.');
+            return store.dispatch('fail');
+        })
+        .then(() => assert.fail('The promise was resolved.'), error => assert.strictEqual(error.message, 'Offline'));
+    });
+
+    it('invokes the subscribers of a key path until they unsubscribe', () => {
+
+        let store = createStore(),
+            changes = [];
+
+        let unsubscribe = store.subscribe('session.user', (user, oldUser) => changes.push([ user && user.get('name'), oldUser ]));
+        store.set('session.user', { name: 'Ada' });
+        unsubscribe();
+        store.set('session.user', { name: 'Grace' });
+
+        assert.deepStrictEqual(changes, [ [ 'Ada', null ] ]);
+    });
+
+    describe('mapState', () => {
+
+        class HeaderPage extends Component {
+            static get mapState() {
+                return { user: 'session.user' };
+            }
+        }
+
+        it('keeps the binding context in sync with the provided store until the view is unloaded', () => {
+
+            let store = createStore();
+            Component.provide('store', store);
+
+            let page = mount(HeaderPage),
+                { bindingContext } = page;
+
+            assert.strictEqual(page.get('user'), null);
+
+            store.set('session.user', { name: 'Ada' });
+            assert.strictEqual(page.get('user.name'), 'Ada');
+
+            unmount(page);
+            store.set('session.user', { name: 'Grace' });
+            assert.strictEqual(bindingContext.get('user').get('name'), 'Ada');
+        });
+    });
+});
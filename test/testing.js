@@ -0,0 +1,220 @@
+import assert from 'assert';
+import { mount, unmount, reset, flush, registerModule, getModuleExports, applicationSettings, topmost, Observable, View, Page } from '../src/testing';
+import Component from '../src/Component';
+
+describe('testing', () => {
+
+    afterEach(() => reset());
+
+    describe('mount()', () => {
+
+        it('mounts a component as a page in the topmost frame and calls init()', () => {
+
+            let calls = [];
+
+            class DetailsPage extends Component {
+                init() {
+                    calls.push(this.navigationContext);
+                }
+            }
+
+            let context = { id: 1 },
+                page = mount(DetailsPage, { navigationContext: context });
+
+            assert(page instanceof DetailsPage);
+            assert(page.view instanceof Page);
+            assert.strictEqual(topmost().currentPage, page.view);
+            assert.deepStrictEqual(calls, [ context ]);
+        });
+
+        it('nests a component within its parent and sets its attributes', () => {
+
+            class DetailsPage extends Component {}
+            class EditableText extends Component {}
+
+            let page = mount(DetailsPage),
+                field = mount(EditableText, { parent: page, attributes: { fieldName: 'firstName' } });
+
+            assert.strictEqual(field.view.parent, page.view);
+            assert.strictEqual(field.view.page, page.view);
+            assert.strictEqual(field.get('fieldName'), 'firstName');
+
+            return flush().then(() => assert.strictEqual(field.parent, page));
+        });
+
+        it('initializes a component nested within a loaded page once the pending Promise callbacks have run, like NativeScript', () => {
+
+            let calls = [];
+
+            class DetailsPage extends Component {}
+            class EditableText extends Component {
+                init() {
+                    calls.push('init');
+                }
+            }
+
+            let page = mount(DetailsPage);
+
+            page.view.on(View.loadedEvent, () => calls.push('page loaded'));
+
+            let field = mount(EditableText, { parent: page });
+
+            assert.strictEqual(field.view.isLoaded, true);
+            assert.deepStrictEqual(calls, []);
+
+            return flush().then(() => assert.deepStrictEqual(calls, [ 'init' ]));
+        });
+
+        it('calls init() outside-in when components are nested before the page loads', () => {
+
+            let calls = [];
+
+            class Outer extends Component {
+                init() {
+                    calls.push('outer');
+                }
+            }
+            class Inner extends Component {
+                init() {
+                    calls.push('inner');
+                }
+            }
+
+            let page = new Page(),
+                outerView = new View(),
+                innerView = new View();
+
+            outerView.on(View.loadedEvent, getModuleExports(Outer).onLoaded);
+            innerView.on(View.loadedEvent, getModuleExports(Inner).onLoaded);
+            page.addChild(outerView);
+            outerView.addChild(innerView);
+            topmost()._showPage(page);
+
+            assert.deepStrictEqual(calls, [ 'outer', 'inner' ]);
+        });
+
+        it('uses the given binding context for the root view', () => {
+
+            class Row extends Component {}
+
+            let item = new Observable({ name: 'Milk' }),
+                row = mount(Row, { parent: mount(class List extends Component {}), bindingContext: item });
+
+            assert.strictEqual(row.bindingContext, item);
+            assert.strictEqual(row.get('name'), 'Milk');
+        });
+
+        it('rejects hooks that are not initialization hooks', () => {
+
+            class DetailsPage extends Component {}
+
+            assert.throws(() => mount(DetailsPage, { hook: 'onTap' }), /'onTap' is not an initialization hook/);
+        });
+    });
+
+    describe('unmount()', () => {
+
+        it('unloads the view and the views nested within it, inner views first', () => {
+
+            let calls = [];
+
+            class DetailsPage extends Component {
+                dispose() {
+                    calls.push('page');
+                }
+            }
+            class EditableText extends Component {
+                dispose() {
+                    calls.push('field');
+                }
+            }
+
+            let page = mount(DetailsPage),
+                field = mount(EditableText, { parent: page });
+
+            unmount(page);
+
+            assert.strictEqual(page.view.isLoaded, false);
+            assert.strictEqual(field.view.isLoaded, false);
+            assert.deepStrictEqual(calls, [ 'field', 'page' ]);
+        });
+    });
+
+    describe('reset()', () => {
+
+        it('unloads the current page and starts over with a fresh frame and settings', () => {
+
+            class DetailsPage extends Component {}
+
+            let page = mount(DetailsPage),
+                frame = topmost();
+
+            applicationSettings.setString('key', 'value');
+            reset();
+
+            assert.strictEqual(page.view.isLoaded, false);
+            assert.notStrictEqual(topmost(), frame);
+            assert.strictEqual(topmost().currentPage, undefined);
+            assert.strictEqual(applicationSettings.hasKey('key'), false);
+        });
+    });
+
+    describe('topmost()', () => {
+
+        it('records navigation entries and goes back to the previous page', () => {
+
+            class ListPage extends Component {}
+            class DetailsPage extends Component {}
+            class SettingsPage extends Component {}
+
+            let listPage = mount(ListPage),
+                detailsPage = mount(DetailsPage);
+
+            registerModule('components/settings/settings', SettingsPage);
+
+            return detailsPage.navigate({ moduleName: 'components/settings/settings' })
+            .then(() => {
+
+                assert.deepStrictEqual(topmost().navigationEntries, [ { moduleName: 'components/settings/settings' } ]);
+
+                topmost().goBack();
+                assert.strictEqual(topmost().currentPage, listPage.view);
+                assert.strictEqual(detailsPage.view.isLoaded, false);
+            });
+        });
+    });
+
+    describe('registerModule()', () => {
+
+        it('makes require() return the component class\'s module exports', () => {
+
+            class DetailsPage extends Component {}
+
+            registerModule('components/details/details', DetailsPage);
+
+            assert.strictEqual(require('components/details/details'), getModuleExports(DetailsPage));
+        });
+    });
+
+    describe('Observable', () => {
+
+        it('has enumerable _observers and disableNotifications properties, like tns-core-modules 2.x', () => {
+
+            let observable = new Observable({ name: 'Milk' });
+
+            assert.deepStrictEqual(Object.keys(observable), [ '_observers', 'disableNotifications', 'name' ]);
+        });
+
+        it('notifies listeners of property changes', () => {
+
+            let observable = new Observable({ name: 'Milk' }),
+                changes = [];
+
+            observable.on(Observable.propertyChangeEvent, ({ propertyName, value, oldValue }) => changes.push([ propertyName, value, oldValue ]));
+            observable.set('name', 'Eggs');
+            observable.set('name', 'Eggs');
+
+            assert.deepStrictEqual(changes, [ [ 'name', 'Eggs', 'Milk' ] ]);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+import assert from 'assert';
+import { mount, unmount, reset, Observable, View } from '../src/testing';
+import Component from '../src/Component';
+
+describe('tracked resources', () => {
+
+    class DetailsPage extends Component {}
+
+    afterEach(() => reset());
+
+    function wait(delay) {
+        return new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    describe('listenTo()', () => {
+
+        it('listens to views and Observables with the component as this until the view is unloaded', () => {
+
+            let page = mount(DetailsPage),
+                record = new Observable({ name: 'Milk' }),
+                button = new View(),
+                calls = [];
+
+            page.listenTo(record, Observable.propertyChangeEvent, function ({ value }) {
+                calls.push([ this, value ]);
+            });
+            page.listenTo(button, 'tap', function () {
+                calls.push([ this, 'tap' ]);
+            });
+
+            record.set('name', 'Eggs');
+            button.notify({ eventName: 'tap', object: button });
+            unmount(page);
+            record.set('name', 'Bread');
+            button.notify({ eventName: 'tap', object: button });
+
+            assert.deepStrictEqual(calls, [ [ page, 'Eggs' ], [ page, 'tap' ] ]);
+        });
+
+        it('returns a function which removes the listener', () => {
+
+            let page = mount(DetailsPage),
+                record = new Observable({ name: 'Milk' }),
+                count = 0;
+
+            let stopListening = page.listenTo(record, Observable.propertyChangeEvent, () => count++);
+            stopListening();
+            record.set('name', 'Eggs');
+
+            assert.strictEqual(count, 0);
+        });
+
+        it('requires a view or Observable', () => {
+
+            let page = mount(DetailsPage);
+
+            assert.throws(() => page.listenTo(null, 'tap', () => {}), /DetailsPage: listenTo\(\) requires a view or Observable to listen to/);
+        });
+    });
+
+    describe('setTimeout() and setInterval()', () => {
+
+        it('invoke the callback with the component as this and the given arguments', () => {
+
+            let page = mount(DetailsPage),
+                calls = [];
+
+            page.setTimeout(function (name) {
+                calls.push([ this, name ]);
+            }, 0, 'Ada');
+
+            return wait(5).then(() => assert.deepStrictEqual(calls, [ [ page, 'Ada' ] ]));
+        });
+
+        it('are cleared when the view is unloaded', () => {
+
+            let page = mount(DetailsPage),
+                count = 0;
+
+            page.setTimeout(() => count++, 1);
+            page.setInterval(() => count++, 1);
+            unmount(page);
+
+            return wait(10).then(() => assert.strictEqual(count, 0));
+        });
+
+        it('are cleared via clearTimeout() and clearInterval()', () => {
+
+            let page = mount(DetailsPage),
+                count = 0;
+
+            page.clearTimeout(page.setTimeout(() => count++, 1));
+            page.clearInterval(page.setInterval(() => count++, 1));
+
+            return wait(10).then(() => assert.strictEqual(count, 0));
+        });
+    });
+
+    describe('addDisposer()', () => {
+
+        it('calls the disposers in reverse order when the view is unloaded', () => {
+
+            let page = mount(DetailsPage),
+                calls = [];
+
+            page.addDisposer(() => calls.push('first'));
+            page.addDisposer(() => calls.push('second'));
+            let removeDisposer = page.addDisposer(() => calls.push('removed'));
+            removeDisposer();
+            unmount(page);
+
+            assert.deepStrictEqual(calls, [ 'second', 'first' ]);
+        });
+
+        it('throws once the component is disposed', () => {
+
+            let page = mount(DetailsPage);
+            unmount(page);
+
+            assert.throws(() => page.addDisposer(() => {}), /Component DetailsPage has been disposed/);
+            assert.throws(() => page.setTimeout(() => {}, 1), /Component DetailsPage has been disposed/);
+        });
+    });
+});
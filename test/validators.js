@@ -0,0 +1,53 @@
+import assert from 'assert';
+import { required, minLength, maxLength, pattern } from '../src/validators';
+
+describe('validators', () => {
+
+    describe('required()', () => {
+
+        it('rejects missing, blank and empty values', () => {
+
+            let validator = required();
+
+            [ undefined, null, '', '  ', [] ].forEach(value => assert.strictEqual(validator(value), 'Required'));
+            [ 'Ada', 0, false, [ 1 ] ].forEach(value => assert.strictEqual(validator(value), null));
+        });
+
+        it('uses the given message', () => {
+            assert.strictEqual(required({ message: 'Enter a name' })(''), 'Enter a name');
+        });
+    });
+
+    describe('minLength() and maxLength()', () => {
+
+        it('reject values that are too short or too long, but not missing values', () => {
+
+            assert.strictEqual(minLength(3)('Al'), 'Must be at least 3 characters');
+            assert.strictEqual(minLength(3)('Ada'), null);
+            assert.strictEqual(minLength(3)(''), null);
+            assert.strictEqual(maxLength(3)('Alan'), 'Must be at most 3 characters');
+            assert.strictEqual(maxLength(3)([ 1, 2 ]), null);
+        });
+
+        it('reject invalid lengths', () => {
+            assert.throws(() => minLength(-1));
+            assert.throws(() => maxLength('3'));
+        });
+    });
+
+    describe('pattern()', () => {
+
+        it('rejects values that don\'t match the regular expression, but not missing values', () => {
+
+            let validator = pattern(/^\d+$/, { message: 'Digits only' });
+
+            assert.strictEqual(validator('12a'), 'Digits only');
+            assert.strictEqual(validator(123), null);
+            assert.strictEqual(validator(null), null);
+        });
+
+        it('rejects anything but a regular expression', () => {
+            assert.throws(() => pattern('^\\d+$'));
+        });
+    });
+});
@@ -0,0 +1,74 @@
+import assert from 'assert';
+import { mount, unmount, reset, Observable } from '../src/testing';
+import Component from '../src/Component';
+
+describe('watch()', () => {
+
+    class DetailsPage extends Component {}
+
+    afterEach(() => reset());
+
+    it('invokes the handler with the new and old values of a nested property', () => {
+
+        let page = mount(DetailsPage, { bindingContext: new Observable({ record: new Observable({ name: 'Milk' }) }) }),
+            changes = [];
+
+        page.watch('record.name', (newValue, oldValue) => changes.push([ newValue, oldValue ]));
+        page.set('record.name', 'Eggs');
+        page.set('record', new Observable({ name: 'Bread' }));
+
+        assert.deepStrictEqual(changes, [ [ 'Eggs', 'Milk' ], [ 'Bread', 'Eggs' ] ]);
+    });
+
+    it('invokes the handler right away with the immediate option', () => {
+
+        let page = mount(DetailsPage, { bindingContext: new Observable({ name: 'Milk' }) }),
+            changes = [];
+
+        page.watch('name', (newValue, oldValue) => changes.push([ newValue, oldValue ]), { immediate: true });
+
+        assert.deepStrictEqual(changes, [ [ 'Milk', undefined ] ]);
+    });
+
+    it('invokes a deep watcher when a property nested within the value changes', () => {
+
+        let record = new Observable({ address: new Observable({ city: 'Oslo' }), tags: [ new Observable({ name: 'new' }) ] }),
+            page = mount(DetailsPage, { bindingContext: new Observable({ record }) }),
+            count = 0;
+
+        page.watch('record', () => count++, { deep: true });
+        record.get('address').set('city', 'Bergen');
+        record.get('tags')[0].set('name', 'old');
+
+        assert.strictEqual(count, 2);
+    });
+
+    it('doesn\'t invoke a deep watcher when a sibling of the value changes', () => {
+
+        let context = new Observable({ record: new Observable({ name: 'Milk' }), other: 1 }),
+            page = mount(DetailsPage, { bindingContext: context }),
+            count = 0;
+
+        // A listener whose `thisArg` is the binding context, which the record's enumerable `_observers` reference.
+        context.get('record').on(Observable.propertyChangeEvent, () => {}, context);
+
+        page.watch('record', () => count++, { deep: true });
+        page.set('other', 2);
+        page.set('record.name', 'Eggs');
+
+        assert.strictEqual(count, 1);
+    });
+
+    it('removes the watchers when the view is unloaded', () => {
+
+        let page = mount(DetailsPage, { bindingContext: new Observable({ name: 'Milk' }) }),
+            context = page.bindingContext,
+            count = 0;
+
+        page.watch('name', () => count++);
+        unmount(page);
+        context.set('name', 'Eggs');
+
+        assert.strictEqual(count, 0);
+    });
+});